@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DecalGeometry } from 'three/addons/geometries/DecalGeometry.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
 
 // ─── DOM refs ───
 const canvas = document.getElementById('canvas');
@@ -11,6 +13,12 @@ const cropOverlay = document.getElementById('crop-overlay');
 const cropCanvas = document.getElementById('crop-canvas');
 const cropCtx = cropCanvas.getContext('2d');
 const instructions = document.getElementById('instructions');
+const textOverlay = document.getElementById('text-overlay');
+const textPreview = document.getElementById('text-preview');
+const exportOverlay = document.getElementById('export-overlay');
+const preflightOverlay = document.getElementById('preflight-overlay');
+const restoreOverlay = document.getElementById('restore-overlay');
+const compareOverlay = document.getElementById('compare-overlay');
 
 // ─── Scene ───
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, logarithmicDepthBuffer: true });
@@ -42,21 +50,42 @@ let lightsOn = true;
 // ─── Load model ───
 let controllerMesh = null; // primary mesh for DecalGeometry
 let controllerMeshes = []; // all meshes for raycasting
+let controllerModel = null; // root of the loaded glTF scene
 const loader = new GLTFLoader();
+// Default model; any other .glb/.gltf can be dropped or browsed at runtime
 const modelPath = 'models/sony_ps5_dualsense_controller(1)/scene.gltf';
-loader.load(modelPath, (gltf) => {
+let modelName = modelPath;
+const MODEL_TARGET_SIZE = 0.2; // models are normalized so their largest dimension is this many units
+loader.load(modelPath, async (gltf) => {
+  await profilesReady;
+  setupModel(gltf, modelPath);
+  showStatus('Model loaded — profile: ' + activeProfile.name);
+  startSession();
+}, undefined, (err) => {
+  // A share link stays in the hash until a model loaded at runtime opens it
+  showStatus(location.hash.startsWith(SHARE_PREFIX)
+    ? 'Failed to load model — drop a .glb/.gltf to open the shared design'
+    : 'Failed to load model — drop a .glb/.gltf to load one');
+  console.error(err);
+});
+
+function setupModel(gltf, name) {
+  const previousSettings = { ...sectionSettings };
+  disposeModel();
   const model = gltf.scene;
 
   // Normalize model size and center it
   const box = new THREE.Box3().setFromObject(model);
   const size = box.getSize(new THREE.Vector3());
   const maxDim = Math.max(size.x, size.y, size.z);
-  const targetSize = 0.2;
-  model.scale.multiplyScalar(targetSize / maxDim);
+  model.scale.multiplyScalar(MODEL_TARGET_SIZE / maxDim);
   box.setFromObject(model);
   model.position.sub(box.getCenter(new THREE.Vector3()));
 
   scene.add(model);
+  model.updateMatrixWorld(true);
+  controllerModel = model;
+  modelName = name;
 
   // Collect all meshes for raycasting
   const allMeshes = [];
@@ -64,15 +93,38 @@ loader.load(modelPath, (gltf) => {
     if (child.isMesh) allMeshes.push(child);
   });
   controllerMeshes = allMeshes;
+  controllerMesh = null;
 
-  // Build color picker sidebar
-  buildColorPickers(allMeshes);
+  // Pick a profile and build the color picker sidebar, keeping colors of
+  // sections the new model shares
+  buildMatMeshMap(allMeshes);
+  setProfile(matchProfile());
+  resetView();
+  for (const [label, st] of Object.entries(previousSettings)) {
+    if (label in sectionSettings) setSectionSettings(label, st);
+  }
+}
 
-  showStatus('Model loaded');
-}, undefined, (err) => {
-  showStatus('Failed to load model');
-  console.error(err);
-});
+function disposeMaterial(mat) {
+  for (const value of Object.values(mat)) {
+    if (value && value.isTexture) value.dispose();
+  }
+  mat.dispose();
+}
+
+function disposeModel() {
+  if (!controllerModel) return;
+  scene.remove(controllerModel);
+  controllerModel.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry.dispose();
+    disposeMaterial(child.material);
+    if (child._originalMaterial) disposeMaterial(child._originalMaterial);
+  });
+  controllerModel = null;
+  controllerMeshes = [];
+  controllerMesh = null;
+}
 
 // ─── Status helper ───
 let statusEl = document.createElement('div');
@@ -94,42 +146,248 @@ sidebarToggle.addEventListener('click', () => {
   sidebarToggle.textContent = sidebar.classList.contains('open') ? '▶ Colors' : '◀ Colors';
 });
 
+// ─── Model profiles ───
+// A profile (profiles/*.json) describes one controller model: friendly
+// section names and the material/mesh names behind them, default colors,
+// real-world size, camera home and export views. The best match for the
+// loaded model is picked automatically; the sidebar select overrides it.
+const PROFILE_INDEX = 'profiles/index.json';
+const PROFILE_MIN_MATCH = 0.5; // fraction of a profile's names the model must contain
+const DEFAULT_CAMERA = { position: [0, 0.05, 0.35], target: [0, 0, 0] };
+const DEFAULT_EXPORT_VIEWS = [
+  { name: 'front',  dir: [0, 0, 1],  up: [0, 1, 0] },
+  { name: 'back',   dir: [0, 0, -1], up: [0, 1, 0] },
+  { name: 'top',    dir: [0, 1, 0],  up: [0, 0, -1] },
+  { name: 'bottom', dir: [0, -1, 0], up: [0, 0, 1] },
+  { name: 'left',   dir: [-1, 0, 0], up: [0, 1, 0] },
+  { name: 'right',  dir: [1, 0, 0],  up: [0, 1, 0] },
+];
+const FALLBACK_CONTROLLER_MM = 160; // DualSense width, used when the profile gives no size
+const profileSelect = document.getElementById('profile-select');
+const profileInput = document.getElementById('profile-input');
+let profiles = [];
+let activeProfile = null;
+
+const profilesReady = fetch(PROFILE_INDEX)
+  .then(res => res.ok ? res.json() : [])
+  .then(files => Promise.all(files.map(f => fetch('profiles/' + f).then(res => res.json()))))
+  .then(list => { profiles = list; })
+  .catch(err => {
+    console.warn('Model profiles unavailable, using auto sections', err);
+  });
+
+// Every material in the model as its own section
+function autoProfile() {
+  return {
+    id: 'auto',
+    name: 'Auto (all materials)',
+    sections: Object.keys(matMeshMap).map((name, i) => ({
+      name: name || `Unnamed material ${i + 1}`,
+      materials: [name],
+    })),
+  };
+}
+
+function profileMatchScore(profile) {
+  const meshNames = new Set(controllerMeshes.map(m => m.name));
+  const names = profile.sections.flatMap(sec =>
+    [...(sec.materials || []).map(n => n in matMeshMap), ...(sec.meshes || []).map(n => meshNames.has(n))]);
+  return names.length ? names.filter(Boolean).length / names.length : 0;
+}
+
+function matchProfile() {
+  let best = null;
+  let bestScore = PROFILE_MIN_MATCH;
+  profiles.forEach(p => {
+    const score = profileMatchScore(p);
+    if (score >= bestScore) { best = p; bestScore = score; }
+  });
+  return best || autoProfile();
+}
+
+function sectionMeshesFor(section) {
+  const materials = new Set(section.materials || []);
+  const meshes = new Set(section.meshes || []);
+  return controllerMeshes.filter(m => materials.has(m.material?.name || '') || meshes.has(m.name));
+}
+
+function refreshProfileSelect() {
+  profileSelect.innerHTML = '';
+  [autoProfile(), ...profiles].forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    profileSelect.appendChild(opt);
+  });
+  const load = document.createElement('option');
+  load.value = '__load';
+  load.textContent = 'Load profile…';
+  profileSelect.appendChild(load);
+  profileSelect.value = activeProfile?.id || 'auto';
+}
+
+function setProfile(profile) {
+  activeProfile = profile;
+  buildColorPickers(controllerMeshes);
+  refreshProfileSelect();
+  refreshPrintViews();
+  refreshLayersPanel(); // millimetre scale (inspector, dpi badges) may have changed
+}
+
+// Switch profiles on the loaded model, keeping the settings of sections the
+// new profile shares by label. History snapshots name the old profile's
+// sections, so undo starts over.
+function switchProfile(profile) {
+  const previousSettings = { ...sectionSettings };
+  historyUndo = [];
+  historyRedo = [];
+  setProfile(profile);
+  for (const [label, st] of Object.entries(previousSettings)) {
+    if (label in sectionSettings) setSectionSettings(label, st);
+  }
+  scheduleAutosave();
+}
+
+function profileById(id) {
+  if (id === 'auto') return autoProfile();
+  return profiles.find(p => p.id === id) || null;
+}
+
+// Real-world millimetres per scene unit, from the profile's controller size
+function mmPerUnit() {
+  const dims = activeProfile?.dimensionsMm;
+  const maxMm = dims ? Math.max(dims.width, dims.height, dims.depth) : FALLBACK_CONTROLLER_MM;
+  return maxMm / MODEL_TARGET_SIZE;
+}
+
+function exportViews() {
+  return (activeProfile?.exportViews || DEFAULT_EXPORT_VIEWS).map(v => ({
+    suffix: v.name,
+    dir: new THREE.Vector3().fromArray(v.dir).normalize(),
+    up: new THREE.Vector3().fromArray(v.up),
+  }));
+}
+
+profileSelect.addEventListener('change', () => {
+  if (profileSelect.value === '__load') {
+    profileSelect.value = activeProfile?.id || 'auto';
+    profileInput.click();
+    return;
+  }
+  const profile = profileById(profileSelect.value);
+  if (!profile || controllerMeshes.length === 0) return;
+  switchProfile(profile);
+  showStatus('Profile: ' + profile.name);
+});
+
+profileInput.addEventListener('change', async () => {
+  const file = profileInput.files[0];
+  profileInput.value = '';
+  if (!file) return;
+  try {
+    const profile = JSON.parse(await file.text());
+    if (!profile.id || !Array.isArray(profile.sections)) throw new Error('needs an id and a sections array');
+    profiles = profiles.filter(p => p.id !== profile.id).concat(profile);
+    if (controllerMeshes.length > 0) switchProfile(profile);
+    showStatus('Profile loaded: ' + (profile.name || profile.id));
+  } catch (err) {
+    console.error(err);
+    showStatus('Invalid profile: ' + err.message);
+  }
+});
+
 // ─── Section Color Picker ───
-const sectionMap = {
-  'Back Shell': 'Back_Baseq',
-  'Front Shell': 'Front_Base',
-  'Joystick Caps': 'Thumb_Top',
-  'Triggers': 'Trigger_Buttons',
-  'Side Panels': 'Side_Panels',
-  'Front Panel': 'Front_Panel',
-  'Buttons': 'Buttons',
-  'PS Logo': 'Logo',
-  'Light Bar': 'Emmissive',
-  'Port': 'Port',
+let matMeshMap = {};
+let sectionMeshMap = {};  // section label -> meshes of the active profile
+let sectionSettings = {}; // label -> { color, original, finish, fill } currently applied
+let sectionInputs = {};   // label -> { color, finish, original, fill } inputs of the section row
+
+// Section finishes. 'original' keeps the model's own surface parameters.
+const SECTION_FINISHES = {
+  original:    { label: 'Original finish', props: {} },
+  matte:       { label: 'Matte', props: { roughness: 0.95, metalness: 0, roughnessMap: null, metalnessMap: null } },
+  softTouch:   { label: 'Soft-touch', props: { roughness: 0.85, metalness: 0, sheen: 1, sheenRoughness: 0.9, roughnessMap: null, metalnessMap: null } },
+  glossy:      { label: 'Glossy', props: { roughness: 0.2, metalness: 0, clearcoat: 1, clearcoatRoughness: 0.05, envMapIntensity: 0.7, roughnessMap: null } },
+  metallic:    { label: 'Metallic / chrome', props: { roughness: 0.12, metalness: 1, envMapIntensity: 1.1, roughnessMap: null, metalnessMap: null } },
+  translucent: { label: 'Translucent shell', props: { roughness: 0.15, metalness: 0, transmission: 0.92, thickness: 0.003, ior: 1.46, envMapIntensity: 0.8 } },
+  glow:        { label: 'Glow', props: { emissiveIntensity: 1.6 } },
 };
 
-let matMeshMap = {};
+function defaultSectionSettings() {
+  return { color: '#ffffff', original: true, finish: 'original', fill: null };
+}
 
-function buildColorPickers(meshes) {
-  const container = document.getElementById('color-inputs');
-  container.innerHTML = '';
-  // Map material names to meshes (multiple meshes can share a material name)
+// A section's starting settings from its profile entry
+function profileSectionDefaults(section) {
+  const defaults = defaultSectionSettings();
+  if (section?.color && section.color !== '#ffffff') Object.assign(defaults, { color: section.color, original: false });
+  if (section?.finish in SECTION_FINISHES) defaults.finish = section.finish;
+  return defaults;
+}
+
+// Physical properties the finishes override, at the values a plain
+// MeshStandardMaterial original implies
+const PHYSICAL_DEFAULTS = {
+  clearcoat: 0, clearcoatMap: null, clearcoatRoughness: 0, clearcoatRoughnessMap: null,
+  sheen: 0, sheenRoughness: 1, sheenColorMap: null, sheenRoughnessMap: null,
+  transmission: 0, transmissionMap: null, thickness: 0, thicknessMap: null, ior: 1.5,
+};
+
+// The original's own physical surface, so "Original finish" keeps a glTF
+// model's clearcoat, sheen or transmission
+function physicalBaseline(orig) {
+  if (!orig.isMeshPhysicalMaterial) return PHYSICAL_DEFAULTS;
+  return Object.fromEntries(Object.keys(PHYSICAL_DEFAULTS).map(key => [key, orig[key]]));
+}
+
+// Section materials are MeshPhysicalMaterial so finishes can use clearcoat,
+// sheen and transmission. Non-standard originals (e.g. unlit) are just cloned.
+function createSectionMaterial(orig) {
+  if (!orig.isMeshStandardMaterial) return orig.clone();
+  const mat = new THREE.MeshPhysicalMaterial();
+  if (orig.isMeshPhysicalMaterial) mat.copy(orig);
+  else THREE.MeshStandardMaterial.prototype.copy.call(mat, orig);
+  mat.defines = { STANDARD: '', PHYSICAL: '' };
+  addTriplanarFill(mat);
+  return mat;
+}
+
+// Map material names to meshes (multiple meshes can share a material name)
+function buildMatMeshMap(meshes) {
   matMeshMap = {};
   meshes.forEach(m => {
     const name = m.material?.name || '';
     if (!matMeshMap[name]) matMeshMap[name] = [];
     matMeshMap[name].push(m);
   });
+}
+
+function buildColorPickers(meshes) {
+  const container = document.getElementById('color-inputs');
+  container.innerHTML = '';
+  sectionMeshMap = {};
+  sectionSettings = {};
+  sectionInputs = {};
+
+  // Start from untouched materials so a previous profile's tints don't linger
+  meshes.forEach(m => {
+    if (m._originalMaterial) {
+      m.material.dispose();
+      m.material = createSectionMaterial(m._originalMaterial);
+    }
+  });
 
-  for (const [label, matName] of Object.entries(sectionMap)) {
-    const targets = matMeshMap[matName];
-    if (!targets || targets.length === 0) continue;
+  for (const section of activeProfile.sections) {
+    const label = section.name;
+    const targets = sectionMeshesFor(section);
+    if (targets.length === 0) continue;
+    sectionMeshMap[label] = targets;
 
     // Clone materials so we can tint independently
     targets.forEach(m => {
       if (!m._originalMaterial) {
         m._originalMaterial = m.material;
-        m.material = m.material.clone();
+        m.material = createSectionMaterial(m.material);
       }
     });
 
@@ -140,24 +398,466 @@ function buildColorPickers(meshes) {
     const input = document.createElement('input');
     input.type = 'color';
     input.value = '#ffffff';
+    // Picking a color switches the section from its texture to a flat color
     input.addEventListener('input', () => {
-      const isWhite = input.value === '#ffffff';
-      targets.forEach(m => {
-        m.material.color.set(input.value);
-        // When tinting, remove the base color map so the color isn't
-        // multiplied against a dark texture. Restore it on reset to white.
-        if (isWhite) {
-          m.material.map = m._originalMaterial.map;
-        } else {
-          m.material.map = null;
-        }
-        m.material.needsUpdate = true;
-      });
+      recordHistory('color:' + label);
+      setSectionSettings(label, { color: input.value, original: false });
     });
+    input.addEventListener('change', () => rememberColor(input.value));
+    input.addEventListener('focus', () => { paletteTargetSelect.value = label; });
     row.appendChild(lbl);
     row.appendChild(input);
     container.appendChild(row);
+
+    const opts = document.createElement('div');
+    opts.className = 'section-options';
+    const finish = document.createElement('select');
+    for (const [key, { label: name }] of Object.entries(SECTION_FINISHES)) {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = name;
+      finish.appendChild(opt);
+    }
+    finish.addEventListener('change', () => {
+      recordHistory();
+      setSectionSettings(label, { finish: finish.value });
+    });
+    const origLabel = document.createElement('label');
+    origLabel.title = 'Show the model\'s original texture instead of a flat color';
+    const original = document.createElement('input');
+    original.type = 'checkbox';
+    original.addEventListener('change', () => {
+      recordHistory();
+      setSectionSettings(label, { original: original.checked });
+    });
+    origLabel.appendChild(original);
+    origLabel.appendChild(document.createTextNode('Original texture'));
+    const fillToggle = document.createElement('button');
+    fillToggle.className = 'section-fill-toggle';
+    fillToggle.textContent = '\u25A6';
+    fillToggle.title = 'Pattern / image fill';
+    const lock = document.createElement('button');
+    lock.className = 'section-lock';
+    const showLock = () => {
+      const locked = lockedSections.has(label);
+      lock.textContent = locked ? '\u{1F512}' : '\u{1F513}';
+      lock.title = locked ? 'Locked: whole-controller coloring skips this section' : 'Lock against whole-controller coloring';
+      lock.classList.toggle('active', locked);
+    };
+    lock.addEventListener('click', () => {
+      if (!lockedSections.delete(label)) lockedSections.add(label);
+      showLock();
+    });
+    showLock();
+    opts.appendChild(finish);
+    opts.appendChild(origLabel);
+    opts.appendChild(fillToggle);
+    opts.appendChild(lock);
+    container.appendChild(opts);
+
+    const fill = buildFillPanel(label);
+    fillToggle.addEventListener('click', () => fill.panel.classList.toggle('hidden'));
+    container.appendChild(fill.panel);
+
+    sectionInputs[label] = { color: input, finish, original, fill };
+    setSectionSettings(label, profileSectionDefaults(section));
+  }
+  refreshPaletteTargets();
+  refreshPresets();
+}
+
+function setSectionSettings(label, changes) {
+  const targets = sectionMeshMap[label];
+  if (!targets || targets.length === 0) return;
+  const st = { ...(sectionSettings[label] || defaultSectionSettings()), ...changes };
+  const finish = SECTION_FINISHES[st.finish] || SECTION_FINISHES.original;
+  targets.forEach(m => {
+    const orig = m._originalMaterial;
+    const mat = m.material;
+    // Either the original texture, or a flat color with the base color map
+    // removed so the color isn't multiplied against a dark texture
+    const filled = !!st.fill && applySectionFill(mat, label, st.fill);
+    if (!filled && mat.defines) delete mat.defines.USE_TRIPLANAR_FILL;
+    if (filled) {
+      // A fill replaces both the texture and the flat color
+      mat.color.set('#ffffff');
+    } else if (st.original) {
+      mat.color.copy(orig.color);
+      mat.map = orig.map;
+    } else {
+      mat.color.set(st.color);
+      mat.map = null;
+    }
+    if (mat.isMeshPhysicalMaterial) {
+      // Reset to the model's own surface, then layer the finish on top
+      Object.assign(mat, {
+        roughness: orig.roughness, metalness: orig.metalness,
+        roughnessMap: orig.roughnessMap, metalnessMap: orig.metalnessMap,
+        envMap: orig.envMap, envMapIntensity: orig.envMapIntensity ?? 1,
+        emissiveMap: orig.emissiveMap, emissiveIntensity: orig.emissiveIntensity,
+        ...physicalBaseline(orig),
+      });
+      mat.emissive.copy(orig.emissive);
+      if (st.finish === 'softTouch') mat.sheenColor.set('#ffffff');
+      else if (orig.isMeshPhysicalMaterial) mat.sheenColor.copy(orig.sheenColor);
+      else mat.sheenColor.set('#000000');
+      Object.assign(mat, finish.props);
+      if ('envMapIntensity' in finish.props) mat.envMap = getStudioEnvMap();
+      if (st.finish === 'glow') {
+        // Glow in the section's own color (white over the original texture)
+        mat.emissive.set(st.original ? '#ffffff' : st.color);
+        mat.emissiveMap = st.original ? orig.map : null;
+      }
+    }
+    mat.needsUpdate = true;
+  });
+  sectionSettings[label] = st;
+  if (!st.fill) releaseSectionFill(label);
+  const inputs = sectionInputs[label];
+  if (inputs) {
+    inputs.color.value = st.color;
+    // A fill hides the flat color, so the picker would have no visible effect
+    inputs.color.disabled = !!st.fill;
+    inputs.color.title = st.fill ? 'Remove the fill to color this section' : '';
+    inputs.finish.value = st.finish;
+    inputs.original.checked = st.original;
+    writeFillInputs(inputs.fill, st.fill);
+  }
+}
+
+// ─── Section fills ───
+// A fill covers a whole section with a procedural pattern or an uploaded
+// image. Fill settings: { source, scale, rotation, offsetX, offsetY, mapping }
+// where source is a FILL_PATTERNS key or an id in fillImages, and mapping is
+// 'uv' (the model's UVs) or 'triplanar' (projected from world position, for
+// models whose UVs are missing or badly laid out; the default for those).
+const FILL_PATTERN_SIZE = 512;
+const FILL_PATTERNS = {
+  camo: { label: 'Woodland camo', draw: drawCamoPattern },
+  digital: { label: 'Digital camo', draw: drawDigitalCamoPattern },
+  marble: { label: 'Marble', draw: drawMarblePattern },
+  carbon: { label: 'Carbon fiber', draw: drawCarbonPattern },
+};
+const fillPatternTextures = new Map(); // pattern key -> shared base texture
+const fillImages = new Map();          // image id -> { texture }
+let sectionFillTextures = {};          // label -> per-section clone carrying repeat/offset
+let nextFillImageId = 1;
+
+// Sections whose UVs can't carry a fill default to triplanar mapping
+function defaultFill(source, label) {
+  const mapping = label && !sectionHasUsableUvs(label) ? 'triplanar' : 'uv';
+  return { source, scale: 4, rotation: 0, offsetX: 0, offsetY: 0, mapping };
+}
+
+const uvCheckCache = new WeakMap(); // geometry -> whether its UVs span an area
+
+// Missing UVs, or ones collapsed to a point or a line (all zero, unwrapped
+// along one axis), would sample a single texel across the whole surface
+function geometryHasUsableUvs(geometry) {
+  if (uvCheckCache.has(geometry)) return uvCheckCache.get(geometry);
+  const uv = geometry.getAttribute('uv');
+  let usable = false;
+  if (uv && uv.count > 0) {
+    let minU = Infinity, minV = Infinity, maxU = -Infinity, maxV = -Infinity;
+    for (let i = 0; i < uv.count; i++) {
+      const u = uv.getX(i), v = uv.getY(i);
+      if (u < minU) minU = u;
+      if (u > maxU) maxU = u;
+      if (v < minV) minV = v;
+      if (v > maxV) maxV = v;
+    }
+    usable = maxU - minU > 1e-4 && maxV - minV > 1e-4;
+  }
+  uvCheckCache.set(geometry, usable);
+  return usable;
+}
+
+function sectionHasUsableUvs(label) {
+  return (sectionMeshMap[label] || []).every(m => geometryHasUsableUvs(m.geometry));
+}
+
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Value noise on a lattice that wraps every `cells`, so the pattern tiles
+function periodicNoise(cells, rand) {
+  const grid = Array.from({ length: cells * cells }, rand);
+  const at = (x, y) => grid[((y % cells + cells) % cells) * cells + ((x % cells + cells) % cells)];
+  return (u, v) => {
+    const x = u * cells, y = v * cells;
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = x - x0, fy = y - y0;
+    const sx = fx * fx * (3 - 2 * fx), sy = fy * fy * (3 - 2 * fy);
+    const a = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * sx;
+    const b = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * sx;
+    return a + (b - a) * sy;
+  };
+}
+
+function fbm(octaves, rand) {
+  const layers = Array.from({ length: octaves }, (_, i) => periodicNoise(4 << i, rand));
+  return (u, v) => layers.reduce((sum, n, i) => sum + n(u, v) / (1 << i), 0) / (2 - 1 / (1 << (octaves - 1)));
+}
+
+function drawNoisePattern(ctx, size, colorAt) {
+  const img = ctx.createImageData(size, size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const [r, g, b] = colorAt(x / size, y / size);
+      const i = (y * size + x) * 4;
+      img.data[i] = r; img.data[i + 1] = g; img.data[i + 2] = b; img.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+}
+
+function drawCamoPattern(ctx, size) {
+  const palette = [[74, 82, 52], [110, 100, 66], [46, 52, 34], [24, 24, 20]];
+  const noise = [1, 2, 3].map(i => fbm(4, seededRandom(11 * i)));
+  drawNoisePattern(ctx, size, (u, v) => {
+    let c = palette[0];
+    noise.forEach((n, i) => { if (n(u, v) > 0.56) c = palette[i + 1]; });
+    return c;
+  });
+}
+
+function drawDigitalCamoPattern(ctx, size) {
+  const palette = [[120, 126, 132], [86, 92, 100], [52, 56, 62], [170, 174, 178]];
+  const noise = [1, 2, 3].map(i => fbm(3, seededRandom(29 * i)));
+  // Sample the noise once per pixel block for the blocky "digital" look
+  drawNoisePattern(ctx, size, (u, v) => {
+    const bu = Math.floor(u * 64) / 64, bv = Math.floor(v * 64) / 64;
+    let c = palette[0];
+    noise.forEach((n, i) => { if (n(bu, bv) > 0.55) c = palette[i + 1]; });
+    return c;
+  });
+}
+
+function drawMarblePattern(ctx, size) {
+  const turb = fbm(5, seededRandom(7));
+  drawNoisePattern(ctx, size, (u, v) => {
+    // Periodic in both axes: two whole sine cycles across the tile plus turbulence
+    const t = Math.abs(Math.sin((u * 2 + v * 2 + turb(u, v) * 3) * Math.PI));
+    const vein = Math.pow(t, 0.25);
+    const base = 235 - (1 - vein) * 150;
+    return [base, base - 3, base - 8];
+  });
+}
+
+function drawCarbonPattern(ctx, size) {
+  // 2×2 twill: tows alternate direction in a diagonal staircase
+  const cells = 32;
+  const cs = size / cells;
+  for (let j = 0; j < cells; j++) {
+    for (let i = 0; i < cells; i++) {
+      const horizontal = ((i + j) % 4) < 2;
+      const g = horizontal
+        ? ctx.createLinearGradient(0, j * cs, 0, (j + 1) * cs)
+        : ctx.createLinearGradient(i * cs, 0, (i + 1) * cs, 0);
+      g.addColorStop(0, '#151515');
+      g.addColorStop(0.5, horizontal ? '#3c3c3c' : '#2a2a2a');
+      g.addColorStop(1, '#151515');
+      ctx.fillStyle = g;
+      ctx.fillRect(i * cs, j * cs, cs, cs);
+    }
+  }
+}
+
+function fillSourceTexture(fill) {
+  if (fillImages.has(fill.source)) return fillImages.get(fill.source).texture;
+  const pattern = FILL_PATTERNS[fill.source];
+  if (!pattern) return null;
+  if (!fillPatternTextures.has(fill.source)) {
+    const c = document.createElement('canvas');
+    c.width = c.height = FILL_PATTERN_SIZE;
+    pattern.draw(c.getContext('2d'), FILL_PATTERN_SIZE);
+    const tex = new THREE.CanvasTexture(c);
+    tex.colorSpace = THREE.SRGBColorSpace;
+    fillPatternTextures.set(fill.source, tex);
+  }
+  return fillPatternTextures.get(fill.source);
+}
+
+// Point the material's map at the section's fill texture. Returns false when
+// the fill's source is unavailable (e.g. a missing image) so the caller can
+// fall back to the color/original texture.
+function applySectionFill(mat, label, fill) {
+  const base = fillSourceTexture(fill);
+  if (!base || !mat.userData.fillUniforms) return false;
+  let tex = sectionFillTextures[label];
+  if (!tex || tex.source !== base.source) {
+    tex?.dispose();
+    tex = base.clone();
+    tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+    tex.needsUpdate = true;
+    sectionFillTextures[label] = tex;
+  }
+  tex.repeat.set(fill.scale, fill.scale);
+  tex.offset.set(fill.offsetX, fill.offsetY);
+  tex.center.set(0.5, 0.5);
+  tex.rotation = fill.rotation * Math.PI / 180;
+  mat.map = tex;
+
+  const u = mat.userData.fillUniforms;
+  u.uFillScale.value = fill.scale / MODEL_TARGET_SIZE;
+  u.uFillTransform.value.setUvTransform(fill.offsetX, fill.offsetY, 1, 1, tex.rotation, 0.5, 0.5);
+  if (fill.mapping === 'triplanar') mat.defines.USE_TRIPLANAR_FILL = '';
+  else delete mat.defines.USE_TRIPLANAR_FILL;
+  return true;
+}
+
+function releaseSectionFill(label) {
+  sectionFillTextures[label]?.dispose();
+  delete sectionFillTextures[label];
+}
+
+// Triplanar mapping: sample the map along the three world axes and blend by
+// the surface normal, so fills don't depend on the model's UV layout
+function addTriplanarFill(mat) {
+  const uniforms = {
+    uFillScale: { value: 1 },
+    uFillTransform: { value: new THREE.Matrix3() },
+  };
+  mat.userData.fillUniforms = uniforms;
+  mat.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = 'varying vec3 vFillPos;\nvarying vec3 vFillNormal;\n' + shader.vertexShader
+      .replace('#include <project_vertex>', `#include <project_vertex>
+        vFillPos = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;
+        vFillNormal = normalize( mat3( modelMatrix ) * objectNormal );`);
+    shader.fragmentShader = 'varying vec3 vFillPos;\nvarying vec3 vFillNormal;\nuniform float uFillScale;\nuniform mat3 uFillTransform;\n' + shader.fragmentShader
+      .replace('#include <map_fragment>', `#ifdef USE_TRIPLANAR_FILL
+          vec3 triW = pow( abs( normalize( vFillNormal ) ), vec3( 4.0 ) );
+          triW /= triW.x + triW.y + triW.z;
+          vec3 triP = vFillPos * uFillScale;
+          vec4 triTex =
+            texture2D( map, ( uFillTransform * vec3( triP.zy, 1.0 ) ).xy ) * triW.x +
+            texture2D( map, ( uFillTransform * vec3( triP.xz, 1.0 ) ).xy ) * triW.y +
+            texture2D( map, ( uFillTransform * vec3( triP.xy, 1.0 ) ).xy ) * triW.z;
+          diffuseColor *= triTex;
+        #else
+          #include <map_fragment>
+        #endif`);
+  };
+}
+
+function buildFillPanel(label) {
+  const panel = document.createElement('div');
+  panel.className = 'section-fill hidden';
+  const row = (text, el) => {
+    const r = document.createElement('label');
+    r.textContent = text;
+    r.appendChild(el);
+    panel.appendChild(r);
+    return el;
+  };
+  const range = (min, max, step) => {
+    const el = document.createElement('input');
+    el.type = 'range';
+    Object.assign(el, { min, max, step });
+    return el;
+  };
+
+  const source = document.createElement('select');
+  row('Fill', source);
+  const upload = document.createElement('input');
+  upload.type = 'file';
+  upload.accept = 'image/*';
+  upload.hidden = true;
+  panel.appendChild(upload);
+  const scale = row('Scale', range(0.25, 32, 0.25));
+  const rotation = row('Rotate', range(0, 360, 1));
+  const offsetX = row('Offset X', range(0, 1, 0.01));
+  const offsetY = row('Offset Y', range(0, 1, 0.01));
+  const mapping = document.createElement('select');
+  [['uv', 'Model UVs'], ['triplanar', 'Triplanar']].forEach(([value, text]) => {
+    mapping.appendChild(new Option(text, value));
+  });
+  row('Mapping', mapping);
+
+  const fields = { label, panel, source, scale, rotation, offsetX, offsetY, mapping };
+  const update = (changes) => {
+    recordHistory('fill:' + label);
+    const current = sectionSettings[label].fill;
+    setSectionSettings(label, { fill: changes === null ? null : { ...(current || defaultFill('camo', label)), ...changes } });
+  };
+  source.addEventListener('change', () => {
+    if (source.value === '__upload') {
+      writeFillInputs(fields, sectionSettings[label].fill);
+      upload.click();
+    } else {
+      update(source.value === '' ? null : { source: source.value });
+    }
+  });
+  upload.addEventListener('change', async () => {
+    const file = upload.files[0];
+    upload.value = '';
+    if (!file) return;
+    try {
+      const id = await registerFillImage(await readFileAsDataURL(file));
+      update({ source: id });
+    } catch (err) {
+      console.error(err);
+      showStatus('Could not load fill image');
+    }
+  });
+  ['scale', 'rotation', 'offsetX', 'offsetY'].forEach(key => {
+    fields[key].addEventListener('input', () => update({ [key]: parseFloat(fields[key].value) }));
+  });
+  mapping.addEventListener('change', () => update({ mapping: mapping.value }));
+  return fields;
+}
+
+function writeFillInputs(fields, fill) {
+  if (!fields) return;
+  const { source } = fields;
+  source.innerHTML = '';
+  source.appendChild(new Option('None', ''));
+  for (const [key, { label }] of Object.entries(FILL_PATTERNS)) source.appendChild(new Option(label, key));
+  let n = 1;
+  for (const id of fillImages.keys()) source.appendChild(new Option('Image ' + n++, id));
+  source.appendChild(new Option('Upload image…', '__upload'));
+  source.value = fill?.source || '';
+  const f = fill || defaultFill('', fields.label);
+  ['scale', 'rotation', 'offsetX', 'offsetY', 'mapping'].forEach(key => { fields[key].value = f[key]; });
+  ['scale', 'rotation', 'offsetX', 'offsetY', 'mapping'].forEach(key => { fields[key].disabled = !fill; });
+}
+
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function registerFillImage(dataURL, id = 'image-' + nextFillImageId++) {
+  const texture = textureFromImage(await loadImage(dataURL));
+  fillImages.get(id)?.texture.dispose();
+  fillImages.set(id, { texture });
+  // Keep generated ids clear of ones restored from a project
+  const n = parseInt(id.replace('image-', ''), 10);
+  if (n >= nextFillImageId) nextFillImageId = n + 1;
+  for (const [label, inputs] of Object.entries(sectionInputs)) {
+    writeFillInputs(inputs.fill, sectionSettings[label]?.fill);
   }
+  return id;
+}
+
+// Section settings from older saves were just a hex color, where white
+// meant "keep the original texture"
+function normalizeSectionSettings(value) {
+  if (typeof value === 'string') {
+    return { ...defaultSectionSettings(), color: value, original: value === '#ffffff' };
+  }
+  return { ...defaultSectionSettings(), ...value };
 }
 
 // ─── Resize ───
@@ -176,23 +876,34 @@ function animate() {
 animate();
 
 // ─── Toolbar ───
-document.getElementById('btn-light').addEventListener('click', () => {
-  lightsOn = !lightsOn;
+function setLights(on) {
+  lightsOn = on;
   ambientLight.intensity = lightsOn ? 0.6 : 0.15;
   dirLight.intensity = lightsOn ? 1.2 : 0.1;
+}
+
+document.getElementById('btn-light').addEventListener('click', () => {
+  setLights(!lightsOn);
   showStatus(lightsOn ? 'Lights on' : 'Lights dimmed');
 });
 
-document.getElementById('btn-reset').addEventListener('click', () => {
-  camera.position.set(0, 0.05, 0.35);
-  controls.target.set(0, 0, 0);
+function resetView() {
+  const home = activeProfile?.camera || DEFAULT_CAMERA;
+  camera.position.fromArray(home.position);
+  controls.target.fromArray(home.target);
   controls.update();
+}
+
+document.getElementById('btn-reset').addEventListener('click', () => {
+  resetView();
   showStatus('View reset');
 });
 
 document.getElementById('btn-clear').addEventListener('click', () => {
+  if (decals.length > 0) recordHistory();
   decals.forEach(d => scene.remove(d.mesh));
   decals = [];
+  decalGroups.clear();
   selectedDecal = null;
   refreshLayersPanel();
   showStatus('Decals cleared');
@@ -215,7 +926,12 @@ document.getElementById('btn-dismiss').addEventListener('click', () => {
 let pendingImage = null; // HTMLImageElement waiting to be cropped
 
 function handleImageFile(file) {
-  if (!file || !file.type.startsWith('image/')) return;
+  if (!file) return;
+  if (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)) {
+    handleSvgFile(file);
+    return;
+  }
+  if (!file.type.startsWith('image/')) return;
   const reader = new FileReader();
   reader.onload = (e) => {
     const img = new Image();
@@ -234,10 +950,33 @@ function handleImageFile(file) {
 });
 document.addEventListener('drop', (e) => {
   e.preventDefault();
-  const file = e.dataTransfer.files[0];
-  handleImageFile(file);
+  handleDroppedFiles([...e.dataTransfer.files]);
 });
 
+// Route a drop to the model, project or image importer by file type
+async function handleDroppedFiles(files) {
+  if (files.some(f => MODEL_FILE_RE.test(f.name))) {
+    loadModelFiles(files);
+    return;
+  }
+  const file = files[0];
+  if (!file) return;
+  if (/\.zip$/i.test(file.name)) {
+    try {
+      const zip = await JSZip.loadAsync(file);
+      if (zip.file('project.json')) loadProjectFile(file);
+      else loadModelZip(zip, file.name);
+    } catch (err) {
+      console.error(err);
+      showStatus('Could not read ZIP: ' + err.message);
+    }
+  } else if (isProjectFile(file)) {
+    loadProjectFile(file);
+  } else {
+    handleImageFile(file);
+  }
+}
+
 // Click to browse
 canvas.addEventListener('click', (e) => {
   // Only open file browser if we're not placing a decal and not interacting with decals
@@ -251,8 +990,14 @@ fileInput.addEventListener('change', () => {
 
 // Paste
 document.addEventListener('paste', (e) => {
+  if (isTypingTarget(e.target) || overlayOpen()) return;
   const items = e.clipboardData?.items;
   if (!items) return;
+  // Decals copied with Ctrl+C arrive as JSON text
+  if (pasteDecalData(e.clipboardData.getData('text/plain'))) {
+    e.preventDefault();
+    return;
+  }
   for (const item of items) {
     if (item.type.startsWith('image/')) {
       handleImageFile(item.getAsFile());
@@ -275,9 +1020,11 @@ let cropWorkCtx = null;
 let wandUndoStack = [];   // ImageData snapshots before each wand op
 let wandRedoStack = [];
 let lastWandClick = null;  // { x, y } for live tolerance replay
+let cropSvg = null;        // normalized SVG source when cropping a vector image
 
-function openCropUI(img) {
+function openCropUI(img, svg = null) {
   cropImg = img;
+  cropSvg = svg;
   cropOverlay.classList.remove('hidden');
   controls.enabled = false;
 
@@ -575,9 +1322,25 @@ document.getElementById('crop-confirm').addEventListener('click', () => {
   placingTexture = tex;
   placingThumbnail = tempCanvas.toDataURL('image/png');
   placingAspect = cropRect.w / cropRect.h;
+  placingText = null;
+  placingSvg = null;
+  // Keep the vector source unless the magic wand has edited the pixels
+  if (cropSvg && wandUndoStack.length === 0) {
+    placingSvg = {
+      ...cropSvg,
+      crop: {
+        x: cropRect.x / cropImg.width, y: cropRect.y / cropImg.height,
+        w: cropRect.w / cropImg.width, h: cropRect.h / cropImg.height,
+      },
+    };
+  }
+  const rasterizedSvg = cropSvg && !placingSvg;
+  cropSvg = null;
   cropOverlay.classList.add('hidden');
   controls.enabled = true;
-  showStatus('Click on controller to place decal');
+  showStatus(rasterizedSvg
+    ? 'Background removal rasterized the SVG — click on controller to place decal'
+    : 'Click on controller to place decal');
 });
 
 document.getElementById('crop-cancel').addEventListener('click', () => {
@@ -589,105 +1352,599 @@ document.getElementById('crop-cancel').addEventListener('click', () => {
 });
 
 // ═══════════════════════════════════════════════
-// DECALS
+// TEXT DECALS
 // ═══════════════════════════════════════════════
-let placingTexture = null;
-let placingThumbnail = null;
-let placingAspect = 1;
-let decals = [];
-let selectedDecal = null;
-const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
+// Text is rendered to a canvas and then follows the same placingTexture →
+// placeDecal path as images. The params are kept on the decal (decal.text)
+// so it can be re-opened and edited after placement.
+const TEXT_FONTS = ['Arial', 'Arial Black', 'Impact', 'Verdana', 'Trebuchet MS', 'Georgia', 'Times New Roman', 'Courier New', 'Comic Sans MS'];
+const textFontSelect = document.getElementById('text-font');
+const textFontInput = document.getElementById('text-font-input');
+let customFonts = new Map(); // family -> { data: ArrayBuffer, ext } for uploaded fonts
+let editingTextDecal = null;  // decal being edited, or null when creating new text
 
-function getMouseNDC(e) {
-  mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+const textFields = {
+  text: document.getElementById('text-content'),
+  font: textFontSelect,
+  size: document.getElementById('text-size'),
+  bold: document.getElementById('text-bold'),
+  italic: document.getElementById('text-italic'),
+  color: document.getElementById('text-color'),
+  outlineColor: document.getElementById('text-outline-color'),
+  outlineWidth: document.getElementById('text-outline'),
+  shadowColor: document.getElementById('text-shadow-color'),
+  shadowBlur: document.getElementById('text-shadow'),
+  letterSpacing: document.getElementById('text-spacing'),
+  arc: document.getElementById('text-arc'),
+};
+
+function readTextParams() {
+  const p = {};
+  for (const [key, el] of Object.entries(textFields)) {
+    if (el.type === 'checkbox') p[key] = el.checked;
+    else if (el.type === 'range') p[key] = parseFloat(el.value);
+    else p[key] = el.value;
+  }
+  return p;
 }
 
-function raycastController(e) {
-  if (controllerMeshes.length === 0) return null;
-  getMouseNDC(e);
-  raycaster.setFromCamera(mouse, camera);
-  const hits = raycaster.intersectObjects(controllerMeshes, false);
-  if (hits.length > 0) {
-    controllerMesh = hits[0].object;
-    return hits[0];
+function writeTextParams(p) {
+  for (const [key, el] of Object.entries(textFields)) {
+    if (!(key in p)) continue;
+    if (el.type === 'checkbox') el.checked = p[key];
+    else el.value = p[key];
   }
-  return null;
 }
 
-function placeDecal(hit, texture, size = 0.04, rotation = 0, aspect = 1) {
-  const position = hit.point.clone();
-  const normal = hit.face.normal.clone();
-  // Transform normal to world space
-  normal.transformDirection(controllerMesh.matrixWorld);
-  const orient = new THREE.Euler();
+// The fields as index.html ships them, so new text doesn't inherit the last edit
+const TEXT_DEFAULTS = { ...readTextParams(), font: TEXT_FONTS[0] };
 
-  // Build orientation from normal
-  const lookAt = position.clone().add(normal);
-  const dummy = new THREE.Object3D();
-  dummy.position.copy(position);
-  dummy.lookAt(lookAt);
-  orient.copy(dummy.rotation);
-  orient.z += rotation;
-
-  // Preserve aspect ratio: width = size * aspect, height = size
-  const sW = aspect >= 1 ? size : size * aspect;
-  const sH = aspect >= 1 ? size / aspect : size;
-  const decalSize = new THREE.Vector3(sW, sH, size);
-  const decalGeom = new DecalGeometry(controllerMesh, position, orient, decalSize);
-  // Nudge decal vertices outward along their normals to prevent z-fighting
-  const posAttr = decalGeom.getAttribute('position');
-  const normAttr = decalGeom.getAttribute('normal');
-  const offset = 0.0003;
-  for (let i = 0; i < posAttr.count; i++) {
-    posAttr.setXYZ(i,
-      posAttr.getX(i) + normAttr.getX(i) * offset,
-      posAttr.getY(i) + normAttr.getY(i) * offset,
-      posAttr.getZ(i) + normAttr.getZ(i) * offset
-    );
-  }
-  posAttr.needsUpdate = true;
-  const decalMat = new THREE.MeshStandardMaterial({
-    map: texture,
-    transparent: true,
-    depthTest: true,
-    depthWrite: false,
+function refreshFontSelect() {
+  const current = textFontSelect.value;
+  textFontSelect.innerHTML = '';
+  [...TEXT_FONTS, ...customFonts.keys()].forEach(family => {
+    const opt = document.createElement('option');
+    opt.value = family;
+    opt.textContent = family;
+    opt.style.fontFamily = `"${family}"`;
+    textFontSelect.appendChild(opt);
   });
-  const decalMesh = new THREE.Mesh(decalGeom, decalMat);
-  scene.add(decalMesh);
+  textFontSelect.value = current || TEXT_FONTS[0];
+}
 
-  decalMesh.renderOrder = 0;
-  const decalObj = { mesh: decalMesh, position, normal, orient, size, rotation, texture, hit, flipH: false, flipV: false, aspect, layer: 0, visible: true, thumbnail: placingThumbnail };
-  decals.push(decalObj);
-  refreshLayersPanel();
-  return decalObj;
+async function registerFont(family, data, ext) {
+  const face = new FontFace(family, data);
+  await face.load();
+  document.fonts.add(face);
+  customFonts.set(family, { data, ext });
+  refreshFontSelect();
 }
 
-function rebuildDecal(decal) {
-  scene.remove(decal.mesh);
-  decal.mesh.geometry.dispose();
-  decal.mesh.material.dispose();
+// Crop a canvas to the bounding box of its non-transparent pixels
+function trimCanvas(c) {
+  const { data, width, height } = c.getContext('2d').getImageData(0, 0, c.width, c.height);
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (maxX < 0) return null;
+  const out = document.createElement('canvas');
+  out.width = maxX - minX + 1;
+  out.height = maxY - minY + 1;
+  out.getContext('2d').drawImage(c, minX, minY, out.width, out.height, 0, 0, out.width, out.height);
+  return out;
+}
 
-  const orient = new THREE.Euler();
-  const lookAt = decal.position.clone().add(decal.normal);
-  const dummy = new THREE.Object3D();
-  dummy.position.copy(decal.position);
-  dummy.lookAt(lookAt);
-  orient.copy(dummy.rotation);
-  orient.z += decal.rotation;
-  decal.orient = orient;
+// Render text params to a trimmed canvas. `scale` multiplies every pixel
+// measurement so the same text can be rasterized at higher resolution.
+function renderTextCanvas(p, scale = 1) {
+  const fontSize = p.size * scale;
+  const font = `${p.italic ? 'italic ' : ''}${p.bold ? 'bold ' : ''}${fontSize}px "${p.font}"`;
+  const chars = [...p.text];
+  if (chars.length === 0) return null;
 
-  const a = decal.aspect;
-  const sW = a >= 1 ? decal.size : decal.size * a;
-  const sH = a >= 1 ? decal.size / a : decal.size;
-  const decalSize = new THREE.Vector3(sW, sH, decal.size);
-  const decalGeom = new DecalGeometry(controllerMesh, decal.position, orient, decalSize);
-  const posAttr = decalGeom.getAttribute('position');
-  const normAttr = decalGeom.getAttribute('normal');
-  const offset = 0.0003;
-  for (let i = 0; i < posAttr.count; i++) {
-    posAttr.setXYZ(i,
+  const measure = document.createElement('canvas').getContext('2d');
+  measure.font = font;
+  const spacing = p.letterSpacing * scale;
+  const widths = chars.map(ch => measure.measureText(ch).width);
+  const total = widths.reduce((a, b) => a + b, 0) + spacing * (chars.length - 1);
+
+  // Glyph centers and rotations, either on a line or around a circle whose
+  // circumference fraction equals the arc angle. Positive arcs bend upward.
+  const arc = Math.max(-360, Math.min(360, p.arc)) * Math.PI / 180;
+  const radius = Math.abs(arc) > 0.001 ? total / Math.abs(arc) : Infinity;
+  let offset = 0;
+  const glyphs = chars.map((ch, i) => {
+    const along = offset + widths[i] / 2 - total / 2;
+    offset += widths[i] + spacing;
+    if (radius === Infinity) return { ch, x: along, y: 0, angle: 0 };
+    const a = along / radius;
+    return arc > 0
+      ? { ch, x: radius * Math.sin(a), y: radius * (1 - Math.cos(a)), angle: a }
+      : { ch, x: radius * Math.sin(a), y: -radius * (1 - Math.cos(a)), angle: -a };
+  });
+
+  const stroke = p.outlineWidth * scale;
+  const blur = p.shadowBlur * scale;
+  const pad = Math.ceil(fontSize + stroke + blur * 2);
+  const xs = glyphs.map(g => g.x), ys = glyphs.map(g => g.y);
+  const minX = Math.min(...xs) - pad, minY = Math.min(...ys) - pad;
+  const w = Math.ceil(Math.max(...xs) - minX + pad);
+  const h = Math.ceil(Math.max(...ys) - minY + pad);
+  if (w * h > 8192 * 8192) return null;
+
+  const layer = document.createElement('canvas');
+  layer.width = w;
+  layer.height = h;
+  const ctx = layer.getContext('2d');
+  ctx.font = font;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  const drawPass = (fn) => glyphs.forEach(g => {
+    ctx.save();
+    ctx.translate(g.x - minX, g.y - minY);
+    ctx.rotate(g.angle);
+    fn(g.ch);
+    ctx.restore();
+  });
+  if (stroke > 0) {
+    // Stroke is centered on the outline; the fill pass covers the inner half
+    ctx.strokeStyle = p.outlineColor;
+    ctx.lineWidth = stroke * 2;
+    drawPass(ch => ctx.strokeText(ch, 0, 0));
+  }
+  ctx.fillStyle = p.color;
+  drawPass(ch => ctx.fillText(ch, 0, 0));
+
+  let out = layer;
+  if (blur > 0) {
+    out = document.createElement('canvas');
+    out.width = w;
+    out.height = h;
+    const octx = out.getContext('2d');
+    octx.shadowColor = p.shadowColor;
+    octx.shadowBlur = blur;
+    octx.shadowOffsetX = octx.shadowOffsetY = blur * 0.35;
+    octx.drawImage(layer, 0, 0);
+  }
+  return trimCanvas(out);
+}
+
+function drawTextPreview() {
+  const c = renderTextCanvas(readTextParams());
+  const maxW = Math.min(window.innerWidth * 0.6, 640);
+  const s = c ? Math.min(maxW / c.width, 240 / c.height, 1) : 1;
+  textPreview.width = c ? Math.max(1, Math.round(c.width * s)) : maxW;
+  textPreview.height = c ? Math.max(1, Math.round(c.height * s)) : 80;
+  const ctx = textPreview.getContext('2d');
+  drawCheckerboard(ctx, textPreview.width, textPreview.height);
+  if (c) ctx.drawImage(c, 0, 0, textPreview.width, textPreview.height);
+}
+
+function openTextEditor(decal = null) {
+  editingTextDecal = decal;
+  writeTextParams(decal ? decal.text : TEXT_DEFAULTS);
+  document.getElementById('text-confirm').textContent = decal ? '\u2713 Update' : '\u2713 Apply';
+  textOverlay.classList.remove('hidden');
+  controls.enabled = false;
+  drawTextPreview();
+  textFields.text.focus();
+  textFields.text.select();
+}
+
+function closeTextEditor() {
+  textOverlay.classList.add('hidden');
+  controls.enabled = true;
+  editingTextDecal = null;
+}
+
+function textureFromCanvas(c) {
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  return tex;
+}
+
+Object.values(textFields).forEach(el => el.addEventListener('input', drawTextPreview));
+
+document.getElementById('text-font-upload').addEventListener('click', () => textFontInput.click());
+textFontInput.addEventListener('change', async () => {
+  const file = textFontInput.files[0];
+  textFontInput.value = '';
+  if (!file) return;
+  const family = file.name.replace(/\.[^.]+$/, '');
+  try {
+    await registerFont(family, await file.arrayBuffer(), file.name.split('.').pop().toLowerCase());
+    textFontSelect.value = family;
+    drawTextPreview();
+    showStatus('Font loaded: ' + family);
+  } catch (err) {
+    console.error(err);
+    showStatus('Could not load font: ' + file.name);
+  }
+});
+
+document.getElementById('text-confirm').addEventListener('click', () => {
+  const params = readTextParams();
+  const c = renderTextCanvas(params);
+  if (!c) {
+    showStatus('Enter some text first');
+    return;
+  }
+  if (editingTextDecal) {
+    const decal = editingTextDecal;
+    recordHistory();
+    decal.texture = textureFromCanvas(c);
+    decal.thumbnail = c.toDataURL('image/png');
+    decal.aspect = c.width / c.height;
+    decal.text = params;
+    rebuildDecal(decal);
+    syncTwin(decal);
+    refreshLayersPanel();
+    closeTextEditor();
+    showStatus('Text updated');
+    return;
+  }
+  placingTexture = textureFromCanvas(c);
+  placingThumbnail = c.toDataURL('image/png');
+  placingAspect = c.width / c.height;
+  placingText = params;
+  placingSvg = null;
+  closeTextEditor();
+  showStatus('Click on controller to place text');
+});
+
+document.getElementById('text-cancel').addEventListener('click', closeTextEditor);
+
+// 🔤 edits the selected text decal, otherwise starts a new one
+document.getElementById('btn-text').addEventListener('click', () => {
+  openTextEditor(selectedDecal?.text ? selectedDecal : null);
+});
+
+textOverlay.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeTextEditor();
+  else if (e.key === 'Enter' && e.target === textFields.text) document.getElementById('text-confirm').click();
+});
+
+refreshFontSelect();
+
+// ═══════════════════════════════════════════════
+// SVG DECALS
+// ═══════════════════════════════════════════════
+// SVG decals keep their source (decal.svg) and are re-rasterized whenever the
+// decal's world size calls for a different resolution, so enlarging a logo
+// or exporting at high resolution never samples a stretched bitmap.
+const SVG_PX_PER_UNIT = 16384;  // viewport raster density (px per scene unit of decal size)
+const SVG_MIN_EDGE = 256;
+const SVG_CROP_MIN_EDGE = 1024; // raster size of the crop UI preview for small SVGs
+
+function parseSvgSize(v) {
+  // Percentages can't be resolved without a viewport
+  return v && !/%$/.test(v.trim()) ? parseFloat(v) : NaN;
+}
+
+// Give the SVG an explicit viewBox and intrinsic size so it can be drawn at any scale
+function normalizeSvg(source) {
+  const doc = new DOMParser().parseFromString(source, 'image/svg+xml');
+  const root = doc.documentElement;
+  if (root.nodeName !== 'svg' || doc.querySelector('parsererror')) throw new Error('Invalid SVG');
+  const vb = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+  let width = parseSvgSize(root.getAttribute('width'));
+  let height = parseSvgSize(root.getAttribute('height'));
+  if (vb.length === 4 && vb.every(isFinite)) {
+    if (!isFinite(width) && !isFinite(height)) { width = vb[2]; height = vb[3]; }
+    else if (!isFinite(width)) width = height * vb[2] / vb[3];
+    else if (!isFinite(height)) height = width * vb[3] / vb[2];
+  } else {
+    if (!isFinite(width)) width = 512;
+    if (!isFinite(height)) height = 512;
+    root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  }
+  root.setAttribute('preserveAspectRatio', 'none');
+  return { source: new XMLSerializer().serializeToString(root), width, height };
+}
+
+// Load the SVG as an image whose natural size is its intrinsic size × scale
+async function svgImage(svg, scale) {
+  const doc = new DOMParser().parseFromString(svg.source, 'image/svg+xml');
+  doc.documentElement.setAttribute('width', svg.width * scale);
+  doc.documentElement.setAttribute('height', svg.height * scale);
+  const blob = new Blob([new XMLSerializer().serializeToString(doc)], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+  try {
+    return await loadImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Rasterize the cropped part of the SVG with `longEdge` pixels on its longer side
+async function rasterizeSvg(svg, longEdge) {
+  const crop = svg.crop || { x: 0, y: 0, w: 1, h: 1 };
+  const cw = crop.w * svg.width, ch = crop.h * svg.height;
+  const k = longEdge / Math.max(cw, ch);
+  const img = await svgImage(svg, k);
+  const c = document.createElement('canvas');
+  c.width = Math.max(1, Math.round(cw * k));
+  c.height = Math.max(1, Math.round(ch * k));
+  c.getContext('2d').drawImage(img, crop.x * svg.width * k, crop.y * svg.height * k, c.width, c.height, 0, 0, c.width, c.height);
+  return c;
+}
+
+function svgRasterEdge(decal, pxPerUnit) {
+  const wanted = Math.pow(2, Math.ceil(Math.log2(Math.max(1, decal.size * pxPerUnit))));
+  return Math.max(SVG_MIN_EDGE, Math.min(renderer.capabilities.maxTextureSize, wanted));
+}
+
+// Swap in a texture rasterized for the decal's current size. Sizes snap to
+// powers of two so Ctrl+Scroll only re-rasterizes when crossing a bucket.
+// Concurrent calls for the same edge share one raster, so an export that
+// awaits this never renders the texture it's about to replace
+function refreshSvgTexture(decal, pxPerUnit = SVG_PX_PER_UNIT) {
+  const edge = svgRasterEdge(decal, pxPerUnit);
+  if (decal._svgPending?.edge === edge) return decal._svgPending.promise;
+  if (decal.texture.userData.rasterEdge === edge) return Promise.resolve();
+  const promise = (async () => {
+    try {
+      const c = await rasterizeSvg(decal.svg, edge);
+      // Superseded by a newer request: wait for that one instead
+      if (decal._svgPending?.edge !== edge) return decal._svgPending?.promise;
+      const tex = textureFromCanvas(c);
+      tex.userData.rasterEdge = edge;
+      // Undo snapshots may still hold the old texture; dispose() only frees
+      // its GPU copy, which three.js re-uploads if a snapshot brings it back
+      decal.texture.dispose();
+      decal.texture = tex;
+      if (decals.includes(decal)) rebuildDecal(decal);
+    } catch (err) {
+      console.warn('SVG re-rasterization failed', err);
+    } finally {
+      if (decal._svgPending?.edge === edge) decal._svgPending = null;
+    }
+  })();
+  decal._svgPending = { edge, promise };
+  return promise;
+}
+
+// Re-rasterize vector decals densely enough for renders `outputPx` across
+// the mesh they sit on (the tightest framing any export view uses)
+function prepareSvgDecalsForExport(outputPx) {
+  return Promise.all(decals.filter(d => d.svg).map(d => {
+    const extent = Math.max(...new THREE.Box3().setFromObject(d.hit.object).getSize(new THREE.Vector3()).toArray());
+    return refreshSvgTexture(d, Math.max(SVG_PX_PER_UNIT, outputPx / extent));
+  }));
+}
+
+async function handleSvgFile(file) {
+  try {
+    const svg = normalizeSvg(await file.text());
+    const img = await svgImage(svg, Math.max(1, SVG_CROP_MIN_EDGE / Math.max(svg.width, svg.height)));
+    openCropUI(img, svg);
+  } catch (err) {
+    console.error(err);
+    showStatus('Could not read SVG: ' + err.message);
+  }
+}
+
+// ═══════════════════════════════════════════════
+// DECALS
+// ═══════════════════════════════════════════════
+let placingTexture = null;
+let placingThumbnail = null;
+let placingAspect = 1;
+let placingText = null; // text params when the pending decal came from the text creator
+let placingSvg = null;  // { source, width, height, crop } when the pending decal is vector
+let decals = [];
+let selectedDecal = null;
+const DECAL_MIN_SIZE = 0.005; // scene units, longer edge
+const DECAL_MAX_SIZE = 0.15;
+const raycaster = new THREE.Raycaster();
+const mouse = new THREE.Vector2();
+
+function getMouseNDC(e) {
+  mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
+  mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+}
+
+function raycastController(e) {
+  if (controllerMeshes.length === 0) return null;
+  getMouseNDC(e);
+  raycaster.setFromCamera(mouse, camera);
+  const hits = raycaster.intersectObjects(controllerMeshes, false);
+  if (hits.length > 0) {
+    controllerMesh = hits[0].object;
+    return hits[0];
+  }
+  return null;
+}
+
+let nextDecalId = 1; // stable ids, so links like symmetry twins survive undo and saves
+
+function placeDecal(hit, texture, size = 0.04, rotation = 0, aspect = 1) {
+  const position = hit.point.clone();
+  const normal = hit.face.normal.clone();
+  // Transform normal to world space
+  normal.transformDirection(controllerMesh.matrixWorld);
+
+  const decalObj = {
+    mesh: null, id: nextDecalId++, position, normal, size, rotation, texture, hit,
+    flipH: false, flipV: false, aspect, layer: 0, visible: true,
+    opacity: 1, tint: null, blend: 'normal', finish: 'standard',
+    thumbnail: placingThumbnail, text: placingText, svg: placingSvg,
+  };
+  rebuildDecal(decalObj);
+  decals.push(decalObj);
+  refreshLayersPanel();
+  return decalObj;
+}
+
+// Blend modes beyond 'normal' work against what is already drawn (multiply,
+// screen) or against the color of the section the decal sits on (overlay).
+const DECAL_BLEND_MODES = {
+  normal: 'Normal',
+  multiply: 'Multiply',
+  screen: 'Screen',
+  overlay: 'Overlay',
+};
+
+// Vinyl finishes. 'standard' is the plain look decals always had.
+const DECAL_FINISHES = {
+  standard:    { label: 'Standard', props: {} },
+  matte:       { label: 'Matte', props: { roughness: 0.9, metalness: 0, envMapIntensity: 0.2 } },
+  gloss:       { label: 'Gloss', props: { roughness: 0.25, metalness: 0, clearcoat: 1, clearcoatRoughness: 0.04, envMapIntensity: 0.6 } },
+  brushed:     { label: 'Brushed metal', props: { roughness: 0.35, metalness: 1, anisotropy: 0.85, envMapIntensity: 1 } },
+  chrome:      { label: 'Chrome', props: { roughness: 0.04, metalness: 1, envMapIntensity: 1.2 } },
+  holographic: {
+    label: 'Holographic',
+    // Thin-film iridescence shifts hue with the viewing angle
+    props: { roughness: 0.18, metalness: 0.7, iridescence: 1, iridescenceIOR: 1.8, iridescenceThicknessRange: [150, 900], envMapIntensity: 1 },
+  },
+};
+
+// Procedural studio environment for reflective finishes. It is a plain
+// equirect canvas texture, so every renderer (including the export's
+// offscreen one) builds its own PMREM from it.
+let studioEnvMap = null;
+function getStudioEnvMap() {
+  if (studioEnvMap) return studioEnvMap;
+  const c = document.createElement('canvas');
+  c.width = 512;
+  c.height = 256;
+  const ctx = c.getContext('2d');
+  const sky = ctx.createLinearGradient(0, 0, 0, c.height);
+  sky.addColorStop(0, '#f4f4f4');
+  sky.addColorStop(0.5, '#8a8a8a');
+  sky.addColorStop(1, '#202020');
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, c.width, c.height);
+  // Softboxes above and to the sides give metals something to reflect
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(40, 30, 110, 50);
+  ctx.fillRect(300, 20, 160, 40);
+  ctx.fillRect(200, 100, 40, 60);
+  ctx.fillRect(470, 90, 30, 70);
+  studioEnvMap = new THREE.CanvasTexture(c);
+  studioEnvMap.mapping = THREE.EquirectangularReflectionMapping;
+  studioEnvMap.colorSpace = THREE.SRGBColorSpace;
+  return studioEnvMap;
+}
+
+function createDecalMaterial(decal, map) {
+  const blend = decal.blend in DECAL_BLEND_MODES ? decal.blend : 'normal';
+  const finish = DECAL_FINISHES[decal.finish] || DECAL_FINISHES.standard;
+  const mat = new THREE.MeshPhysicalMaterial({
+    map,
+    transparent: true,
+    opacity: decal.opacity ?? 1,
+    depthTest: true,
+    depthWrite: false,
+    ...finish.props,
+  });
+  if ('envMapIntensity' in finish.props) mat.envMap = getStudioEnvMap();
+  const uniforms = {
+    uTint: { value: new THREE.Color(decal.tint?.color || '#ffffff') },
+    uTintAmount: { value: decal.tint ? decal.tint.amount : 0 },
+    uBase: { value: new THREE.Color(1, 1, 1) },
+  };
+  mat.defines = { ['DECAL_BLEND_' + blend.toUpperCase()]: '' };
+  if (blend === 'multiply') {
+    // dst × src, with the shader fading src toward white where transparent
+    mat.blending = THREE.CustomBlending;
+    mat.blendSrc = THREE.ZeroFactor;
+    mat.blendDst = THREE.SrcColorFactor;
+  } else if (blend === 'screen') {
+    // src + dst × (1 − src), with the shader fading src toward black
+    mat.blending = THREE.CustomBlending;
+    mat.blendSrc = THREE.OneFactor;
+    mat.blendDst = THREE.OneMinusSrcColorFactor;
+  }
+  mat.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.fragmentShader = 'uniform vec3 uTint;\nuniform float uTintAmount;\nuniform vec3 uBase;\n' + shader.fragmentShader
+      .replace('#include <map_fragment>', `#include <map_fragment>
+        // Recolor: blend the texture's RGB toward the tint, alpha untouched
+        diffuseColor.rgb = mix( diffuseColor.rgb, uTint, uTintAmount );
+        #ifdef DECAL_BLEND_OVERLAY
+          diffuseColor.rgb = mix( 2.0 * uBase * diffuseColor.rgb,
+            1.0 - 2.0 * ( 1.0 - uBase ) * ( 1.0 - diffuseColor.rgb ), step( 0.5, uBase ) );
+        #endif
+        vec4 decalBase = diffuseColor;`)
+      .replace('#include <dithering_fragment>', `#include <dithering_fragment>
+        #if defined( DECAL_BLEND_MULTIPLY )
+          gl_FragColor = vec4( mix( vec3( 1.0 ), linearToOutputTexel( vec4( decalBase.rgb, 1.0 ) ).rgb, decalBase.a ), 1.0 );
+        #elif defined( DECAL_BLEND_SCREEN )
+          gl_FragColor = vec4( linearToOutputTexel( vec4( decalBase.rgb, 1.0 ) ).rgb * decalBase.a, 1.0 );
+        #endif`);
+  };
+  mat.userData.uniforms = uniforms;
+  return mat;
+}
+
+// Average color of a texture, for the overlay preview: the decal mesh has its
+// own UVs, so it can't sample the section's map per pixel the way the bake
+// does. Compressed or data textures can't be drawn and give null.
+const TEXTURE_MEAN_SIZE = 16;
+const textureMeanCache = new WeakMap(); // image -> linear THREE.Color or null
+function textureMeanColor(texture) {
+  const image = texture?.image;
+  if (!image) return null;
+  if (!textureMeanCache.has(image)) {
+    let mean = null;
+    try {
+      const c = document.createElement('canvas');
+      c.width = c.height = TEXTURE_MEAN_SIZE;
+      const ctx = c.getContext('2d');
+      ctx.drawImage(image, 0, 0, TEXTURE_MEAN_SIZE, TEXTURE_MEAN_SIZE);
+      const px = ctx.getImageData(0, 0, TEXTURE_MEAN_SIZE, TEXTURE_MEAN_SIZE).data;
+      const sum = [0, 0, 0];
+      for (let i = 0; i < px.length; i += 4) {
+        sum[0] += px[i]; sum[1] += px[i + 1]; sum[2] += px[i + 2];
+      }
+      const n = 255 * TEXTURE_MEAN_SIZE * TEXTURE_MEAN_SIZE;
+      mean = new THREE.Color().setRGB(sum[0] / n, sum[1] / n, sum[2] / n, THREE.SRGBColorSpace);
+    } catch (err) {
+      console.warn('Texture not readable for the overlay preview', err);
+    }
+    textureMeanCache.set(image, mean);
+  }
+  return textureMeanCache.get(image);
+}
+
+function rebuildDecal(decal) {
+  // Decals restored from a project have no mesh yet
+  if (decal.mesh) {
+    scene.remove(decal.mesh);
+    decal.mesh.geometry.dispose();
+    decal.mesh.material.dispose();
+  }
+
+  const orient = new THREE.Euler();
+  const lookAt = decal.position.clone().add(decal.normal);
+  const dummy = new THREE.Object3D();
+  dummy.position.copy(decal.position);
+  dummy.lookAt(lookAt);
+  orient.copy(dummy.rotation);
+  orient.z += decal.rotation;
+  decal.orient = orient;
+
+  const a = decal.aspect;
+  const sW = a >= 1 ? decal.size : decal.size * a;
+  const sH = a >= 1 ? decal.size / a : decal.size;
+  const decalSize = new THREE.Vector3(sW, sH, decal.size);
+  // Project onto the mesh the decal was placed on, not whichever mesh was hit last
+  const target = decal.hit?.object || controllerMesh;
+  const decalGeom = new DecalGeometry(target, decal.position, orient, decalSize);
+  const posAttr = decalGeom.getAttribute('position');
+  const normAttr = decalGeom.getAttribute('normal');
+  const offset = 0.0003;
+  for (let i = 0; i < posAttr.count; i++) {
+    posAttr.setXYZ(i,
       posAttr.getX(i) + normAttr.getX(i) * offset,
       posAttr.getY(i) + normAttr.getY(i) * offset,
       posAttr.getZ(i) + normAttr.getZ(i) * offset
@@ -700,32 +1957,362 @@ function rebuildDecal(decal) {
   flippedTex.offset.set(decal.flipH ? 1 : 0, decal.flipV ? 1 : 0);
   flippedTex.wrapS = THREE.RepeatWrapping;
   flippedTex.wrapT = THREE.RepeatWrapping;
-  const decalMat = new THREE.MeshStandardMaterial({
-    map: flippedTex,
-    transparent: true,
-    depthTest: true,
-    depthWrite: false,
-  });
+  const decalMat = createDecalMaterial(decal, flippedTex);
   decal.mesh = new THREE.Mesh(decalGeom, decalMat);
+  // Overlay needs the live color of the section underneath. Over a texture
+  // or fill that's its average color, so the preview is approximate; the
+  // texture bake blends against the actual texels.
+  if (decal.blend === 'overlay') {
+    decal.mesh.onBeforeRender = () => {
+      const base = decalMat.userData.uniforms.uBase.value.copy(target.material.color);
+      const mean = textureMeanColor(target.material.map);
+      if (mean) base.multiply(mean);
+    };
+  }
   decal.mesh.renderOrder = decal.layer || 0;
+  decal.mesh.visible = decal.visible !== false;
   scene.add(decal.mesh);
+  if (decal.svg) refreshSvgTexture(decal);
+  updateLayerDpi(decal);
+  if (decal === selectedDecal) refreshInspector();
+}
+
+// ─── Symmetry ───
+// Twins are linked by id (twinId), so the link survives undo, project
+// save/load and either side being deleted. The mirror plane is the model's
+// left/right centre (x). Reflecting a decal's frame reverses its handedness,
+// which an extra horizontal flip and a negated rotation cancel out.
+let symmetryMode = false;
+const surfaceRay = new THREE.Raycaster();
+
+function twinOf(decal) {
+  return decal.twinId ? decals.find(d => d.id === decal.twinId) : undefined;
+}
+
+function symmetryCenterX() {
+  return new THREE.Box3().setFromObject(controllerModel).getCenter(new THREE.Vector3()).x;
+}
+
+// Put `twin` on the surface at `src`'s mirrored position. Returns false when
+// nothing is there (the model isn't perfectly symmetric everywhere).
+function mirrorDecalPose(src, twin) {
+  const point = src.position.clone();
+  point.x = 2 * symmetryCenterX() - point.x;
+  const normal = src.normal.clone();
+  normal.x = -normal.x;
+  surfaceRay.set(point.clone().addScaledVector(normal, 0.02), normal.negate());
+  const hit = surfaceRay.intersectObjects(controllerMeshes, false)[0];
+  if (!hit) return false;
+  twin.position = hit.point.clone();
+  twin.normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+  twin.hit = hit;
+  return true;
+}
+
+function mirrorDecalLook(src, twin) {
+  Object.assign(twin, {
+    size: src.size, aspect: src.aspect,
+    rotation: -src.rotation, flipH: !src.flipH, flipV: src.flipV,
+    opacity: src.opacity, tint: src.tint, blend: src.blend, finish: src.finish,
+    texture: src.texture, thumbnail: src.thumbnail, text: src.text, svg: src.svg,
+  });
+}
+
+// After `decal` changed, bring its linked twin along
+function syncTwin(decal) {
+  const twin = twinOf(decal);
+  if (!twin) return;
+  mirrorDecalPose(decal, twin);
+  mirrorDecalLook(decal, twin);
+  rebuildDecal(twin);
+}
+
+function createTwin(src) {
+  const twin = { mesh: null, id: nextDecalId++, layer: src.layer || 0, visible: src.visible !== false };
+  if (!mirrorDecalPose(src, twin)) return null;
+  mirrorDecalLook(src, twin);
+  src.twinId = twin.id;
+  twin.twinId = src.id;
+  rebuildDecal(twin);
+  decals.push(twin);
+  return twin;
+}
+
+function mirrorSelectedDecal() {
+  if (!selectedDecal) {
+    showStatus('Select a decal to mirror');
+    return;
+  }
+  if (twinOf(selectedDecal)) {
+    showStatus('This decal already has a mirrored twin');
+    return;
+  }
+  recordHistory();
+  if (createTwin(selectedDecal)) {
+    refreshLayersPanel();
+    showStatus('Mirrored — the twin follows moves, resizes and rotations');
+  } else {
+    showStatus('No surface at the mirrored position');
+  }
+}
+
+function setSymmetryMode(on) {
+  symmetryMode = on;
+  document.getElementById('btn-symmetry').classList.toggle('active', on);
+}
+
+document.getElementById('insp-mirror').addEventListener('click', mirrorSelectedDecal);
+document.getElementById('btn-symmetry').addEventListener('click', () => {
+  setSymmetryMode(!symmetryMode);
+  showStatus(symmetryMode ? 'Symmetry on — new decals get a mirrored twin' : 'Symmetry off');
+});
+
+// ─── Duplicate / copy / paste ───
+// Ctrl+C puts the selected decals on the clipboard as JSON (props plus its
+// image as a data URL), so it can be pasted into another project or tab.
+// Pastes land under the cursor when it's over the model, otherwise just
+// beside the original. Copies never keep a symmetry link.
+const DECAL_CLIPBOARD_FORMAT = '3dricer-decals';
+let lastPointer = null; // last cursor position over the viewport
+
+canvas.addEventListener('mousemove', (e) => { lastPointer = { clientX: e.clientX, clientY: e.clientY }; });
+canvas.addEventListener('mouseleave', () => { lastPointer = null; });
+
+// Drop `d` onto the model straight along its normal; false if it misses
+function snapDecalToSurface(d) {
+  surfaceRay.set(d.position.clone().addScaledVector(d.normal, 0.02), d.normal.clone().negate());
+  const hit = controllerMeshes.length ? surfaceRay.intersectObjects(controllerMeshes, false)[0] : null;
+  if (!hit) return false;
+  d.position.copy(hit.point);
+  d.normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+  d.hit = hit;
+  return true;
+}
+
+// Place copies under the cursor, or just beside their originals, keeping
+// their arrangement relative to each other
+function placeCopies(copies) {
+  const lead = copies[0];
+  const hit = lastPointer && raycastController(lastPointer);
+  let delta;
+  if (hit) {
+    delta = hit.point.clone().sub(lead.position);
+  } else {
+    // Step sideways along the surface so copies don't hide their originals
+    const side = new THREE.Vector3(0, 1, 0).cross(lead.normal);
+    if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+    delta = side.normalize().multiplyScalar(lead.size * 0.3);
+  }
+  copies.forEach(d => {
+    const original = d.position.clone();
+    d.position.add(delta);
+    if (!snapDecalToSurface(d)) d.position.copy(original);
+  });
+}
+
+function topLayer() {
+  return decals.reduce((max, d) => Math.max(max, d.layer || 0), -1) + 1;
+}
+
+// entries: [{ props, texture, thumbnail, svg }] -> the new decals, stacked
+// above everything else in their original relative order
+function addDecalCopies(entries) {
+  const base = topLayer();
+  const copies = [...entries]
+    .sort((a, b) => (a.props.layer || 0) - (b.props.layer || 0))
+    .map(({ props, texture, thumbnail, svg }, i) => {
+      const copy = { mesh: null, texture, thumbnail, svg };
+      applyDecalProps(copy, { ...props, id: undefined, twinId: undefined, groupId: undefined });
+      copy.layer = base + i;
+      return copy;
+    });
+  placeCopies(copies);
+  copies.forEach(copy => {
+    rebuildDecal(copy);
+    decals.push(copy);
+  });
+  return copies;
+}
+
+function selectCopies(copies) {
+  selectedDecal = copies[copies.length - 1];
+  selectedDecals = new Set(copies);
+}
+
+function duplicateSelection() {
+  if (!selectedDecal) return;
+  recordHistory();
+  const copies = addDecalCopies([...selectedDecals].map(d => ({
+    props: decalProps(d), texture: d.texture, thumbnail: d.thumbnail, svg: d.svg,
+  })));
+  selectCopies(copies);
+  refreshLayersPanel();
+  showStatus(copies.length === 1 ? 'Decal duplicated' : `${copies.length} decals duplicated`);
+}
+
+document.addEventListener('copy', (e) => {
+  if (!selectedDecal || isTypingTarget(e.target) || overlayOpen() || window.getSelection()?.toString()) return;
+  const payload = {
+    format: DECAL_CLIPBOARD_FORMAT,
+    version: PROJECT_VERSION,
+    decals: [...selectedDecals].map(d => ({ ...decalProps(d), image: decalImageDataURL(d), ...(d.svg && { svg: d.svg }) })),
+  };
+  e.clipboardData.setData('text/plain', JSON.stringify(payload));
+  e.preventDefault();
+  showStatus(payload.decals.length === 1 ? 'Decal copied' : `${payload.decals.length} decals copied`);
+});
+
+// True when the clipboard text was decal data (and has been pasted)
+function pasteDecalData(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return false;
+  }
+  if (payload?.format !== DECAL_CLIPBOARD_FORMAT || !Array.isArray(payload.decals)) return false;
+  if (controllerMeshes.length === 0) {
+    showStatus('Wait for the model to load first');
+    return true;
+  }
+  Promise.all(payload.decals.map(p => loadImage(p.image))).then(images => {
+    recordHistory();
+    selectCopies(addDecalCopies(payload.decals.map((p, i) => ({
+      props: p, texture: textureFromImage(images[i]), thumbnail: images[i].src, svg: p.svg || null,
+    }))));
+    refreshLayersPanel();
+    showStatus(payload.decals.length === 1 ? 'Decal pasted' : `${payload.decals.length} decals pasted`);
+  }).catch(err => {
+    console.error(err);
+    showStatus('Could not paste decal: ' + err.message);
+  });
+  return true;
+}
+
+// ─── Selection ───
+// selectedDecal is the primary selection, the one the inspector edits.
+// selectedDecals holds it plus anything added with Shift/Ctrl-click or the
+// Shift-drag marquee; moves, scales and rotations apply to the whole set.
+let selectedDecals = new Set();
+let marquee = null; // { x, y } where a Shift-drag started
+
+function selectOnly(d) {
+  selectedDecal = d;
+  selectedDecals = new Set(d ? [d] : []);
+}
+
+function toggleSelected(d) {
+  if (selectedDecals.has(d)) {
+    selectedDecals.delete(d);
+    if (selectedDecal === d) selectedDecal = [...selectedDecals].pop() || null;
+  } else {
+    selectedDecals.add(d);
+    selectedDecal = d;
+  }
+}
+
+// Code that only assigns selectedDecal (undo, delete, placing…) means a
+// single selection; bring the set in line with it
+function syncSelection() {
+  selectedDecals = new Set([...selectedDecals].filter(d => decals.includes(d)));
+  if (!selectedDecal) selectedDecals.clear();
+  else if (!selectedDecals.has(selectedDecal)) selectedDecals = new Set([selectedDecal]);
+}
+
+// One decal per linked pair, starting with `lead`: the other twin follows
+// through syncTwin instead of being transformed twice
+function selectionLeaders(lead = selectedDecal) {
+  const out = [];
+  for (const d of [lead, ...selectedDecals]) {
+    if (!d || out.includes(d) || out.includes(twinOf(d))) continue;
+    out.push(d);
+  }
+  return out;
+}
+
+function selectionCenter() {
+  const list = [...selectedDecals];
+  const center = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  list.forEach(d => { center.add(d.position); normal.add(d.normal); });
+  return { center: center.divideScalar(list.length), normal: normal.normalize() };
+}
+
+function commitTransform(d) {
+  snapDecalToSurface(d);
+  rebuildDecal(d);
+  syncTwin(d);
+}
+
+// Move the rest of the selection by the same offset as the dragged decal
+function moveSelectionWith(lead, delta) {
+  selectionLeaders(lead).forEach(d => {
+    if (d === lead) return;
+    d.position.add(delta);
+    commitTransform(d);
+  });
+}
+
+function scaleSelection(factor) {
+  const { center } = selectionCenter();
+  selectionLeaders().forEach(d => {
+    d.size = Math.max(DECAL_MIN_SIZE, Math.min(DECAL_MAX_SIZE, d.size * factor));
+    d.position.sub(center).multiplyScalar(factor).add(center);
+    commitTransform(d);
+  });
+}
+
+// Spin the selection about its average normal, each decal turning with it
+function rotateSelection(angle) {
+  const { center, normal } = selectionCenter();
+  selectionLeaders().forEach(d => {
+    d.rotation += angle;
+    d.position.sub(center).applyAxisAngle(normal, angle).add(center);
+    commitTransform(d);
+  });
+}
+
+function marqueeSelect(x0, y0, x1, y1) {
+  const [left, right] = [Math.min(x0, x1), Math.max(x0, x1)];
+  const [top, bottom] = [Math.min(y0, y1), Math.max(y0, y1)];
+  decals.forEach(d => {
+    if (d.visible === false) return;
+    const p = d.position.clone().project(camera);
+    if (p.z > 1) return; // behind the camera
+    const x = (p.x + 1) / 2 * window.innerWidth;
+    const y = (1 - p.y) / 2 * window.innerHeight;
+    if (x >= left && x <= right && y >= top && y <= bottom && !selectedDecals.has(d)) toggleSelected(d);
+  });
 }
 
 // ─── Click handling ───
 let isDraggingDecal = false;
+let dragLead = null;      // the selected decal under the cursor; the rest of the selection follows it
+let dragRecorded = false; // history entry is pushed on the first move, not on mousedown
 let mouseDownPos = { x: 0, y: 0 };
+const marqueeBox = document.getElementById('marquee');
 
 canvas.addEventListener('mousedown', (e) => {
   mouseDownPos = { x: e.clientX, y: e.clientY };
-  if (e.button !== 0) return;
+  if (e.button !== 0 || eyedropperActive) return;
 
-  // Check if clicking a decal to drag
+  // Shift-drag draws a selection marquee instead of orbiting
+  if (e.shiftKey && !placingTexture) {
+    marquee = { x: e.clientX, y: e.clientY };
+    controls.enabled = false;
+    return;
+  }
+
+  // Check if clicking a selected decal to drag
   if (selectedDecal && !placingTexture) {
     getMouseNDC(e);
     raycaster.setFromCamera(mouse, camera);
-    const hits = raycaster.intersectObject(selectedDecal.mesh, false);
+    const selected = [...selectedDecals];
+    const hits = raycaster.intersectObjects(selected.map(d => d.mesh), false);
     if (hits.length > 0) {
       isDraggingDecal = true;
+      dragLead = selected.find(d => d.mesh === hits[0].object);
+      dragRecorded = false;
       controls.enabled = false;
       return;
     }
@@ -733,25 +2320,59 @@ canvas.addEventListener('mousedown', (e) => {
 });
 
 canvas.addEventListener('mousemove', (e) => {
-  if (!isDraggingDecal || !selectedDecal) return;
+  if (marquee) {
+    Object.assign(marqueeBox.style, {
+      left: Math.min(marquee.x, e.clientX) + 'px',
+      top: Math.min(marquee.y, e.clientY) + 'px',
+      width: Math.abs(e.clientX - marquee.x) + 'px',
+      height: Math.abs(e.clientY - marquee.y) + 'px',
+    });
+    marqueeBox.classList.remove('hidden');
+    return;
+  }
+  if (!isDraggingDecal || !dragLead) return;
   const hit = raycastController(e);
   if (hit) {
-    selectedDecal.position.copy(hit.point);
-    selectedDecal.normal.copy(hit.face.normal).transformDirection(controllerMesh.matrixWorld);
-    selectedDecal.hit = hit;
-    rebuildDecal(selectedDecal);
+    if (!dragRecorded) {
+      recordHistory();
+      dragRecorded = true;
+    }
+    const delta = hit.point.clone().sub(dragLead.position);
+    dragLead.position.copy(hit.point);
+    dragLead.normal.copy(hit.face.normal).transformDirection(controllerMesh.matrixWorld);
+    dragLead.hit = hit;
+    rebuildDecal(dragLead);
+    syncTwin(dragLead);
+    moveSelectionWith(dragLead, delta);
   }
 });
 
 canvas.addEventListener('mouseup', (e) => {
+  if (eyedropperActive) {
+    if (e.button === 0) pickColor(e);
+    return;
+  }
   if (isDraggingDecal) {
     isDraggingDecal = false;
+    dragLead = null;
     controls.enabled = true;
     return;
   }
 
   // Only act on clicks (not drags)
   const dist = Math.hypot(e.clientX - mouseDownPos.x, e.clientY - mouseDownPos.y);
+  if (marquee) {
+    const start = marquee;
+    marquee = null;
+    marqueeBox.classList.add('hidden');
+    controls.enabled = true;
+    if (dist > 5) {
+      marqueeSelect(start.x, start.y, e.clientX, e.clientY);
+      refreshLayersPanel();
+      showStatus(`${selectedDecals.size} decal${selectedDecals.size === 1 ? '' : 's'} selected`);
+      return;
+    }
+  }
   if (dist > 5) return;
   if (e.button !== 0) return;
 
@@ -759,30 +2380,40 @@ canvas.addEventListener('mouseup', (e) => {
   if (placingTexture) {
     const hit = raycastController(e);
     if (hit) {
+      recordHistory();
       const decal = placeDecal(hit, placingTexture, 0.04, 0, placingAspect);
+      const twinMissed = symmetryMode && !createTwin(decal);
       selectedDecal = decal;
       placingTexture = null;
       placingThumbnail = null;
       placingAspect = 1;
+      placingText = null;
+      placingSvg = null;
       refreshLayersPanel();
-      showStatus('Decal placed! Ctrl+Scroll resize, R rotate, H/V flip, Del remove');
+      showStatus(twinMissed
+        ? 'Decal placed — no surface at the mirrored position for a twin'
+        : 'Decal placed! Ctrl+Scroll resize, R rotate, H/V flip, Del remove');
     }
     return;
   }
 
-  // Select/deselect existing decal
+  // Select/deselect existing decal; Shift/Ctrl-click adds to or removes from the selection
+  const additive = e.shiftKey || e.ctrlKey || e.metaKey;
   getMouseNDC(e);
   raycaster.setFromCamera(mouse, camera);
   for (const d of decals) {
     const hits = raycaster.intersectObject(d.mesh, false);
     if (hits.length > 0) {
-      selectedDecal = d;
+      if (additive) toggleSelected(d);
+      else selectOnly(d);
       refreshLayersPanel();
-      showStatus('Decal selected — drag to move, Ctrl+Scroll resize, R/H/V/Del');
+      showStatus(selectedDecals.size > 1
+        ? `${selectedDecals.size} decals selected — drag, Ctrl+Scroll and R/E move, scale and rotate them together`
+        : 'Decal selected — drag to move, Ctrl+Scroll resize, R/H/V/Del');
       return;
     }
   }
-  selectedDecal = null;
+  if (!additive) selectOnly(null);
   refreshLayersPanel();
 });
 
@@ -792,33 +2423,61 @@ renderer.domElement.addEventListener('wheel', (e) => {
   if (selectedDecal && e.ctrlKey) {
     e.preventDefault();
     e.stopImmediatePropagation();
+    recordHistory('size', selectedDecal);
+    if (selectedDecals.size > 1) {
+      scaleSelection(e.deltaY > 0 ? 0.93 : 1 / 0.93);
+      return;
+    }
     const delta = e.deltaY > 0 ? -0.003 : 0.003;
-    selectedDecal.size = Math.max(0.005, Math.min(0.15, selectedDecal.size + delta));
+    selectedDecal.size = Math.max(DECAL_MIN_SIZE, Math.min(DECAL_MAX_SIZE, selectedDecal.size + delta));
     rebuildDecal(selectedDecal);
+    syncTwin(selectedDecal);
   }
 }, { passive: false, capture: true });
 
 // ─── Keyboard ───
 document.addEventListener('keydown', (e) => {
-  if (!selectedDecal) return;
-  if (e.key === 'r' || e.key === 'R') {
-    selectedDecal.rotation += Math.PI / 12;
-    rebuildDecal(selectedDecal);
-    showStatus('Rotated');
+  if (!selectedDecal || isTypingTarget(e.target) || overlayOpen()) return;
+  if (e.ctrlKey || e.metaKey) {
+    // Ctrl+C / Ctrl+V / Ctrl+Z have their own handlers; don't let them rotate or flip
+    if (e.key === 'd' || e.key === 'D') {
+      e.preventDefault();
+      duplicateSelection();
+    } else if (e.key === 'g' || e.key === 'G') {
+      e.preventDefault();
+      if (e.shiftKey) ungroupSelection();
+      else groupSelection();
+    }
+    return;
   }
-  if (e.key === 'e' || e.key === 'E') {
-    selectedDecal.rotation -= Math.PI / 12;
-    rebuildDecal(selectedDecal);
+  if (e.key === 'r' || e.key === 'R' || e.key === 'e' || e.key === 'E') {
+    const angle = (e.key.toLowerCase() === 'r' ? 1 : -1) * Math.PI / 12;
+    recordHistory('rotate', selectedDecal);
+    if (selectedDecals.size > 1) {
+      rotateSelection(angle);
+    } else {
+      selectedDecal.rotation += angle;
+      rebuildDecal(selectedDecal);
+      syncTwin(selectedDecal);
+    }
     showStatus('Rotated');
   }
   if (e.key === 'h' || e.key === 'H') {
-    selectedDecal.flipH = !selectedDecal.flipH;
-    rebuildDecal(selectedDecal);
+    recordHistory();
+    selectionLeaders().forEach(d => {
+      d.flipH = !d.flipH;
+      rebuildDecal(d);
+      syncTwin(d);
+    });
     showStatus('Flipped horizontally');
   }
   if (e.key === 'v' || e.key === 'V') {
-    selectedDecal.flipV = !selectedDecal.flipV;
-    rebuildDecal(selectedDecal);
+    recordHistory();
+    selectionLeaders().forEach(d => {
+      d.flipV = !d.flipV;
+      rebuildDecal(d);
+      syncTwin(d);
+    });
     showStatus('Flipped vertically');
   }
   if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
@@ -827,35 +2486,35 @@ document.addEventListener('keydown', (e) => {
     const idx = order.indexOf(selectedDecal);
     const newIdx = e.key === 'ArrowUp' ? idx - 1 : idx + 1;
     if (newIdx < 0 || newIdx >= order.length) return;
+    recordHistory();
     order.splice(idx, 1);
     order.splice(newIdx, 0, selectedDecal);
-    order.forEach((d, i) => {
-      d.layer = order.length - 1 - i;
-      d.mesh.renderOrder = d.layer;
-    });
-    refreshLayersPanel();
-    showStatus('Layer: ' + selectedDecal.layer);
-  }
-  if (e.key === ']') {
-    selectedDecal.layer = (selectedDecal.layer || 0) + 1;
-    selectedDecal.mesh.renderOrder = selectedDecal.layer;
+    applyLayerOrder(order);
     refreshLayersPanel();
     showStatus('Layer: ' + selectedDecal.layer);
   }
-  if (e.key === '[') {
-    selectedDecal.layer = Math.max(0, (selectedDecal.layer || 0) - 1);
-    selectedDecal.mesh.renderOrder = selectedDecal.layer;
+  if (e.key === ']' || e.key === '[') {
+    recordHistory();
+    selectedDecals.forEach(d => {
+      d.layer = Math.max(0, (d.layer || 0) + (e.key === ']' ? 1 : -1));
+      d.mesh.renderOrder = d.layer;
+    });
     refreshLayersPanel();
     showStatus('Layer: ' + selectedDecal.layer);
   }
+  if (e.key === 'm' || e.key === 'M') mirrorSelectedDecal();
   if (e.key === 'Delete' || e.key === 'Backspace') {
-    scene.remove(selectedDecal.mesh);
-    selectedDecal.mesh.geometry.dispose();
-    selectedDecal.mesh.material.dispose();
-    decals = decals.filter(d => d !== selectedDecal);
-    selectedDecal = null;
+    recordHistory();
+    const removed = selectedDecals.size;
+    selectedDecals.forEach(d => {
+      scene.remove(d.mesh);
+      d.mesh.geometry.dispose();
+      d.mesh.material.dispose();
+    });
+    decals = decals.filter(d => !selectedDecals.has(d));
+    selectOnly(null);
     refreshLayersPanel();
-    showStatus('Decal removed');
+    showStatus(removed === 1 ? 'Decal removed' : `${removed} decals removed`);
   }
 });
 
@@ -865,98 +2524,638 @@ canvas.addEventListener('dblclick', () => {
   if (!placingTexture) fileInput.click();
 });
 
+// ═══════════════════════════════════════════════
+// HISTORY (scene-wide undo / redo)
+// ═══════════════════════════════════════════════
+// Each entry is a snapshot of every decal's props and the section colors.
+// Snapshots keep references to the decal objects themselves, so undoing a
+// delete brings back the original texture rather than a re-encoded copy.
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 800;
+let historyUndo = [];
+let historyRedo = [];
+let historyCoalesce = null; // { key, target, time } of the last recorded edit
+
+function captureScene() {
+  return {
+    decals: decals.map(d => ({ decal: d, props: decalProps(d), texture: d.texture, thumbnail: d.thumbnail })),
+    sections: structuredClone(sectionSettings),
+    groups: structuredClone([...decalGroups]),
+    variants: snapshotVariants(),
+    activeVariant,
+    selected: selectedDecal,
+    selection: [...selectedDecals],
+  };
+}
+
+function restoreScene(snap) {
+  decals.forEach(d => {
+    if (snap.decals.some(entry => entry.decal === d)) return;
+    scene.remove(d.mesh);
+    d.mesh.geometry.dispose();
+    d.mesh.material.dispose();
+  });
+  decals = snap.decals.map(({ decal, props, texture, thumbnail }) => {
+    const wasRemoved = !decals.includes(decal);
+    if (wasRemoved || decal.texture !== texture || JSON.stringify(decalProps(decal)) !== JSON.stringify(props)) {
+      decal.texture = texture;
+      decal.thumbnail = thumbnail;
+      applyDecalProps(decal, props);
+      rebuildDecal(decal);
+    }
+    return decal;
+  });
+  for (const [label, st] of Object.entries(snap.sections)) {
+    if (JSON.stringify(sectionSettings[label]) !== JSON.stringify(st)) setSectionSettings(label, st);
+  }
+  decalGroups = new Map(structuredClone(snap.groups));
+  setVariants(snap.variants, snap.activeVariant);
+  selectedDecal = decals.includes(snap.selected) ? snap.selected : null;
+  selectedDecals = new Set(snap.selection.filter(d => decals.includes(d)));
+  refreshLayersPanel();
+}
+
+// Call BEFORE mutating the scene. Repeated edits with the same key on the
+// same target (scroll-resizing, dragging a color picker) merge into one step.
+function recordHistory(key = null, target = null) {
+  scheduleAutosave();
+  const now = performance.now();
+  const last = historyCoalesce;
+  historyCoalesce = key ? { key, target, time: now } : null;
+  if (key && last && last.key === key && last.target === target && now - last.time < HISTORY_COALESCE_MS) return;
+  historyUndo.push(captureScene());
+  if (historyUndo.length > HISTORY_LIMIT) historyUndo.shift();
+  historyRedo = [];
+}
+
+function undo() {
+  if (historyUndo.length === 0) return;
+  historyRedo.push(captureScene());
+  restoreScene(historyUndo.pop());
+  historyCoalesce = null;
+  scheduleAutosave();
+  showStatus('Undo');
+}
+
+function redo() {
+  if (historyRedo.length === 0) return;
+  historyUndo.push(captureScene());
+  restoreScene(historyRedo.pop());
+  historyCoalesce = null;
+  scheduleAutosave();
+  showStatus('Redo');
+}
+
+// Every modal overlay owns the keyboard while open
+function overlayOpen() {
+  return [cropOverlay, textOverlay, exportOverlay, preflightOverlay, restoreOverlay, compareOverlay].some(o => !o.classList.contains('hidden'));
+}
+
+function isTypingTarget(el) {
+  return el instanceof HTMLElement &&
+    (el.isContentEditable || el.matches('textarea, select, input:not([type="color"]):not([type="range"]):not([type="checkbox"])'));
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside the overlays; the crop overlay has its own wand history
+document.addEventListener('keydown', (e) => {
+  if (overlayOpen() || isTypingTarget(e.target)) return;
+  if (!(e.ctrlKey || e.metaKey)) return;
+  if ((e.key === 'z' || e.key === 'Z') && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if (((e.key === 'z' || e.key === 'Z') && e.shiftKey) || e.key === 'y') {
+    e.preventDefault();
+    redo();
+  }
+});
+
+document.getElementById('btn-undo').addEventListener('click', undo);
+document.getElementById('btn-redo').addEventListener('click', redo);
+
 // ═══════════════════════════════════════════════
 // LAYERS PANEL
 // ═══════════════════════════════════════════════
 const layersList = document.getElementById('layers-list');
 const layersEmpty = document.getElementById('layers-empty');
-let dragSrcDecal = null;
+let dragSrc = null; // { decal } or { group } being dragged in the panel
 
-function refreshLayersPanel() {
-  layersList.innerHTML = '';
-  // Sort decals by layer descending (highest on top, like Photoshop)
+// Named groups. Members carry groupId; the panel keeps them contiguous in
+// the layer order so a group moves, hides and reorders as one unit.
+let decalGroups = new Map(); // group id -> { name, collapsed }
+let nextGroupId = 1;
+
+function decalLabel(d) {
+  return d.text ? '\u201C' + d.text.text + '\u201D' : 'Decal ' + (decals.indexOf(d) + 1);
+}
+
+// Top-to-bottom panel entries: a lone decal, or a group with its members
+function layerUnits() {
   const sorted = [...decals].sort((a, b) => (b.layer || 0) - (a.layer || 0));
-  layersEmpty.style.display = decals.length === 0 ? '' : 'none';
+  const units = [];
+  const seen = new Set();
+  for (const d of sorted) {
+    const group = decalGroups.has(d.groupId) ? d.groupId : null;
+    if (!group) {
+      units.push({ decals: [d] });
+    } else if (!seen.has(group)) {
+      seen.add(group);
+      units.push({ group, decals: sorted.filter(o => o.groupId === group) });
+    }
+  }
+  return units;
+}
 
-  sorted.forEach((decal, idx) => {
-    const item = document.createElement('div');
-    item.className = 'layer-item' + (decal === selectedDecal ? ' selected' : '');
-    item.draggable = true;
-    item.dataset.idx = idx;
+// Reassign layers from a top-to-bottom list (top = highest layer), then once
+// more with groups pulled together
+function applyLayerOrder(order) {
+  const assign = (list) => list.forEach((d, i) => {
+    d.layer = list.length - 1 - i;
+    d.mesh.renderOrder = d.layer;
+  });
+  assign(order);
+  assign(layerUnits().flatMap(u => u.decals));
+}
 
-    // Thumbnail
-    const thumb = document.createElement('img');
-    thumb.className = 'layer-thumb';
-    thumb.src = decal.thumbnail || '';
-    item.appendChild(thumb);
+function groupSelection() {
+  if (selectedDecals.size < 2) {
+    showStatus('Select two or more decals to group (Shift/Ctrl-click or Shift-drag)');
+    return;
+  }
+  recordHistory();
+  const id = 'g' + nextGroupId++;
+  decalGroups.set(id, { name: 'Group ' + (decalGroups.size + 1), collapsed: false });
+  selectedDecals.forEach(d => { d.groupId = id; });
+  applyLayerOrder(layerUnits().flatMap(u => u.decals));
+  refreshLayersPanel();
+  showStatus('Grouped');
+}
 
-    // Name
-    const name = document.createElement('span');
-    name.className = 'layer-name';
-    name.textContent = 'Decal ' + (decals.indexOf(decal) + 1);
-    item.appendChild(name);
-
-    // Eye toggle
-    const eye = document.createElement('button');
-    eye.className = 'layer-eye' + (decal.visible === false ? ' hidden-decal' : '');
-    eye.textContent = decal.visible === false ? '\u25CC' : '\u25C9';
-    eye.title = decal.visible === false ? 'Show' : 'Hide';
-    eye.addEventListener('click', (e) => {
+function ungroupSelection() {
+  const groups = new Set([...selectedDecals].map(d => d.groupId).filter(Boolean));
+  if (groups.size === 0) return;
+  recordHistory();
+  decals.forEach(d => { if (groups.has(d.groupId)) d.groupId = null; });
+  groups.forEach(id => decalGroups.delete(id));
+  refreshLayersPanel();
+  showStatus('Ungrouped');
+}
+
+// Drop `src` just above `target`. Dropping a decal onto a group's member or
+// header moves it into that group; onto a lone decal, out of any group.
+function reorderLayers(src, target) {
+  const order = layerUnits().flatMap(u => u.decals);
+  const moving = src.group ? order.filter(d => d.groupId === src.group) : [src.decal];
+  const anchor = target.decal || order.find(d => d.groupId === target.group);
+  if (moving.includes(anchor)) return;
+  recordHistory();
+  if (src.decal) src.decal.groupId = target.group || target.decal.groupId || null;
+  const rest = order.filter(d => !moving.includes(d));
+  rest.splice(rest.indexOf(anchor), 0, ...moving);
+  applyLayerOrder(rest);
+  refreshLayersPanel();
+}
+
+function selectFromPanel(e, members) {
+  if (e.shiftKey || e.ctrlKey || e.metaKey) {
+    const all = members.every(d => selectedDecals.has(d));
+    members.forEach(d => { if (all || !selectedDecals.has(d)) toggleSelected(d); });
+  } else {
+    selectOnly(members[members.length - 1]);
+    selectedDecals = new Set(members);
+  }
+  refreshLayersPanel();
+}
+
+function attachLayerDrag(el, src) {
+  el.draggable = true;
+  el.addEventListener('dragstart', (e) => {
+    e.stopPropagation();
+    dragSrc = src;
+    el.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  el.addEventListener('dragend', () => {
+    el.classList.remove('dragging');
+    dragSrc = null;
+    // Remove all drag-over indicators
+    layersList.querySelectorAll('.drag-over').forEach(o => o.classList.remove('drag-over'));
+  });
+  el.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    // Clear others, highlight this
+    layersList.querySelectorAll('.drag-over').forEach(o => o.classList.remove('drag-over'));
+    if (dragSrc && (dragSrc.decal || dragSrc.group) !== (src.decal || src.group)) el.classList.add('drag-over');
+  });
+  el.addEventListener('dragleave', () => {
+    el.classList.remove('drag-over');
+  });
+  el.addEventListener('drop', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    el.classList.remove('drag-over');
+    if (dragSrc) reorderLayers(dragSrc, src);
+  });
+}
+
+function eyeButton(hidden, onToggle) {
+  const eye = document.createElement('button');
+  eye.className = 'layer-eye' + (hidden ? ' hidden-decal' : '');
+  eye.textContent = hidden ? '\u25CC' : '\u25C9';
+  eye.title = hidden ? 'Show' : 'Hide';
+  eye.addEventListener('click', (e) => {
+    e.stopPropagation();
+    recordHistory();
+    onToggle();
+    refreshLayersPanel();
+  });
+  return eye;
+}
+
+function layerItem(decal) {
+  const item = document.createElement('div');
+  item.className = 'layer-item' + (selectedDecals.has(decal) ? ' selected' : '') + (decalGroups.has(decal.groupId) ? ' grouped' : '');
+
+  // Thumbnail
+  const thumb = document.createElement('img');
+  thumb.className = 'layer-thumb';
+  thumb.src = decal.thumbnail || '';
+  item.appendChild(thumb);
+
+  // Name
+  const name = document.createElement('span');
+  name.className = 'layer-name';
+  name.textContent = decalLabel(decal) + (twinOf(decal) ? ' \u21C6' : '');
+  if (twinOf(decal)) name.title = 'Linked to a mirrored twin';
+  item.appendChild(name);
+
+  // Effective print resolution
+  const dpi = document.createElement('span');
+  dpi.className = 'layer-dpi';
+  item.appendChild(dpi);
+  layerDpiBadges.set(decal, dpi);
+  updateLayerDpi(decal);
+
+  // Text layers can be re-opened in the text creator
+  if (decal.text) {
+    const edit = document.createElement('button');
+    edit.className = 'layer-edit';
+    edit.textContent = '\u270E';
+    edit.title = 'Edit text';
+    edit.addEventListener('click', (e) => {
       e.stopPropagation();
-      decal.visible = !decal.visible;
-      decal.mesh.visible = decal.visible;
-      refreshLayersPanel();
+      openTextEditor(decal);
     });
-    item.appendChild(eye);
+    item.appendChild(edit);
+  }
 
-    // Click to select
-    item.addEventListener('click', () => {
-      selectedDecal = decal;
-      refreshLayersPanel();
-      showStatus('Decal ' + (decals.indexOf(decal) + 1) + ' selected — Layer ' + (decal.layer || 0));
-    });
+  // Eye toggle
+  item.appendChild(eyeButton(decal.visible === false, () => {
+    decal.visible = !decal.visible;
+    decal.mesh.visible = decal.visible;
+  }));
 
-    // Drag to reorder
-    item.addEventListener('dragstart', (e) => {
-      dragSrcDecal = decal;
-      item.classList.add('dragging');
-      e.dataTransfer.effectAllowed = 'move';
-    });
-    item.addEventListener('dragend', () => {
-      item.classList.remove('dragging');
-      dragSrcDecal = null;
-      // Remove all drag-over indicators
-      layersList.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-    });
-    item.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      e.dataTransfer.dropEffect = 'move';
-      // Clear others, highlight this
-      layersList.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-      if (dragSrcDecal !== decal) item.classList.add('drag-over');
-    });
-    item.addEventListener('dragleave', () => {
-      item.classList.remove('drag-over');
-    });
-    item.addEventListener('drop', (e) => {
-      e.preventDefault();
-      item.classList.remove('drag-over');
-      if (!dragSrcDecal || dragSrcDecal === decal) return;
-      // Reorder: move dragged decal to the dropped position in sorted order,
-      // then reassign layers top-down so they get unique contiguous values.
-      const order = [...decals].sort((a, b) => (b.layer || 0) - (a.layer || 0));
-      order.splice(order.indexOf(dragSrcDecal), 1);
-      const dropIdx = order.indexOf(decal);
-      order.splice(dropIdx, 0, dragSrcDecal);
-      // Reassign layers: top of list = highest layer
-      order.forEach((d, i) => {
-        d.layer = order.length - 1 - i;
-        d.mesh.renderOrder = d.layer;
-      });
-      refreshLayersPanel();
+  // Click to select; Shift/Ctrl-click adds to the selection
+  item.addEventListener('click', (e) => {
+    selectFromPanel(e, [decal]);
+    if (selectedDecals.size === 1) showStatus('Decal ' + (decals.indexOf(decal) + 1) + ' selected — Layer ' + (decal.layer || 0));
+  });
+
+  // Drag to reorder
+  attachLayerDrag(item, { decal });
+  return item;
+}
+
+function groupHeader(id, members) {
+  const group = decalGroups.get(id);
+  const header = document.createElement('div');
+  header.className = 'layer-group' + (members.every(d => selectedDecals.has(d)) ? ' selected' : '');
+
+  const toggle = document.createElement('button');
+  toggle.className = 'layer-collapse';
+  toggle.textContent = group.collapsed ? '\u25B8' : '\u25BE';
+  toggle.title = group.collapsed ? 'Expand' : 'Collapse';
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    group.collapsed = !group.collapsed;
+    refreshLayersPanel();
+  });
+  header.appendChild(toggle);
+
+  const name = document.createElement('span');
+  name.className = 'layer-name';
+  name.textContent = `${group.name} (${members.length})`;
+  header.appendChild(name);
+
+  const rename = document.createElement('button');
+  rename.className = 'layer-edit';
+  rename.textContent = '\u270E';
+  rename.title = 'Rename group';
+  rename.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const value = prompt('Group name', group.name)?.trim();
+    if (!value || value === group.name) return;
+    recordHistory();
+    group.name = value;
+    refreshLayersPanel();
+  });
+  header.appendChild(rename);
+
+  const hidden = members.every(d => d.visible === false);
+  header.appendChild(eyeButton(hidden, () => {
+    members.forEach(d => {
+      d.visible = hidden;
+      d.mesh.visible = hidden;
     });
+  }));
+
+  // Click selects every member
+  header.addEventListener('click', (e) => selectFromPanel(e, members));
+  attachLayerDrag(header, { group: id });
+  return header;
+}
+
+function refreshLayersPanel() {
+  layersList.innerHTML = '';
+  layerDpiBadges.clear();
+  syncSelection();
+  layersEmpty.style.display = decals.length === 0 ? '' : 'none';
+
+  // Highest layer on top, like Photoshop, with group members under their header
+  layerUnits().forEach(unit => {
+    if (!unit.group) {
+      layersList.appendChild(layerItem(unit.decals[0]));
+      return;
+    }
+    layersList.appendChild(groupHeader(unit.group, unit.decals));
+    if (!decalGroups.get(unit.group).collapsed) unit.decals.forEach(d => layersList.appendChild(layerItem(d)));
+  });
+  refreshInspector();
+}
+
+document.getElementById('btn-group').addEventListener('click', groupSelection);
+document.getElementById('btn-ungroup').addEventListener('click', ungroupSelection);
+
+// ═══════════════════════════════════════════════
+// DECAL INSPECTOR
+// ═══════════════════════════════════════════════
+// Exact numeric editing of the selected decal. Lengths are shown in real
+// millimetres via the model profile; every edit goes through rebuildDecal.
+const inspector = document.getElementById('inspector');
+const inspectorEmpty = document.getElementById('inspector-empty');
+const inspectorFields = {
+  size: document.getElementById('insp-size'),
+  width: document.getElementById('insp-width'),
+  height: document.getElementById('insp-height'),
+  lockAspect: document.getElementById('insp-lock'),
+  rotation: document.getElementById('insp-rotation'),
+  flipH: document.getElementById('insp-flip-h'),
+  flipV: document.getElementById('insp-flip-v'),
+  opacity: document.getElementById('insp-opacity'),
+  tintColor: document.getElementById('insp-tint'),
+  tintAmount: document.getElementById('insp-tint-amount'),
+  blend: document.getElementById('insp-blend'),
+  finish: document.getElementById('insp-finish'),
+  layer: document.getElementById('insp-layer'),
+};
+
+function decalDimensions(d) {
+  const a = d.aspect;
+  return { w: a >= 1 ? d.size : d.size * a, h: a >= 1 ? d.size / a : d.size };
+}
+
+function refreshInspector() {
+  const d = selectedDecal;
+  inspector.classList.toggle('hidden', !d);
+  inspectorEmpty.style.display = d ? 'none' : '';
+  if (!d) return;
+  const mm = mmPerUnit();
+  const { w, h } = decalDimensions(d);
+  const deg = ((d.rotation * 180 / Math.PI) % 360 + 360) % 360;
+  const values = {
+    size: (d.size * mm).toFixed(1),
+    width: (w * mm).toFixed(1),
+    height: (h * mm).toFixed(1),
+    rotation: +deg.toFixed(1),
+    flipH: d.flipH,
+    flipV: d.flipV,
+    opacity: Math.round((d.opacity ?? 1) * 100),
+    tintColor: d.tint?.color || '#ffffff',
+    tintAmount: Math.round((d.tint?.amount || 0) * 100),
+    blend: d.blend || 'normal',
+    finish: d.finish || 'standard',
+    layer: d.layer || 0,
+  };
+  for (const [key, value] of Object.entries(values)) {
+    const el = inspectorFields[key];
+    // Don't fight the user while they type
+    if (el === document.activeElement && el.type === 'number') continue;
+    if (el.type === 'checkbox') el.checked = value;
+    else el.value = value;
+  }
+}
+
+function applyInspectorField(key) {
+  const d = selectedDecal;
+  const el = inspectorFields[key];
+  if (!d) return;
+  const v = el.type === 'checkbox' ? el.checked
+    : el.type === 'number' ? parseFloat(el.value) : el.value;
+  if (typeof v === 'number' && !isFinite(v)) return;
+  recordHistory('inspect:' + key, d);
+
+  const mm = mmPerUnit();
+  const clampSize = (s) => Math.max(DECAL_MIN_SIZE, Math.min(DECAL_MAX_SIZE, s));
+  const { w, h } = decalDimensions(d);
+  switch (key) {
+    case 'size':
+      d.size = clampSize(v / mm);
+      break;
+    case 'width':
+    case 'height': {
+      const nw = key === 'width' ? Math.max(v / mm, 0.0005) : w;
+      const nh = key === 'height' ? Math.max(v / mm, 0.0005) : h;
+      if (inspectorFields.lockAspect.checked) {
+        // Scale both edges by the same factor
+        const k = key === 'width' ? nw / w : nh / h;
+        d.size = clampSize(d.size * k);
+      } else {
+        d.aspect = nw / nh;
+        d.size = clampSize(Math.max(nw, nh));
+      }
+      break;
+    }
+    case 'rotation':
+      d.rotation = v * Math.PI / 180;
+      break;
+    case 'flipH':
+    case 'flipV':
+      d[key] = v;
+      break;
+    case 'opacity':
+      d.opacity = Math.max(0, Math.min(100, v)) / 100;
+      break;
+    case 'tintColor':
+      d.tint = { color: v, amount: d.tint?.amount ?? 1 };
+      break;
+    case 'tintAmount': {
+      const amount = Math.max(0, Math.min(100, v)) / 100;
+      d.tint = amount > 0 ? { color: d.tint?.color || inspectorFields.tintColor.value, amount } : null;
+      break;
+    }
+    case 'blend':
+    case 'finish':
+      d[key] = v;
+      break;
+    case 'layer':
+      d.layer = Math.max(0, Math.round(v));
+      break;
+  }
+  rebuildDecal(d);
+  if (key !== 'layer') syncTwin(d);
+  if (key === 'layer') refreshLayersPanel();
+}
+
+for (const [mode, label] of Object.entries(DECAL_BLEND_MODES)) {
+  const opt = document.createElement('option');
+  opt.value = mode;
+  opt.textContent = label;
+  inspectorFields.blend.appendChild(opt);
+}
+for (const [finish, { label }] of Object.entries(DECAL_FINISHES)) {
+  const opt = document.createElement('option');
+  opt.value = finish;
+  opt.textContent = label;
+  inspectorFields.finish.appendChild(opt);
+}
+
+Object.entries(inspectorFields).forEach(([key, el]) => {
+  if (key === 'lockAspect') return;
+  const evt = el.type === 'checkbox' || el.tagName === 'SELECT' ? 'change' : 'input';
+  el.addEventListener(evt, () => applyInspectorField(key));
+  // Reformat once the user leaves the field
+  el.addEventListener('blur', refreshInspector);
+  if (el.type !== 'number') return;
+  // Arrow-key nudging: Shift for ×10, Alt for ×0.1
+  el.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    const step = parseFloat(el.step) || 1;
+    const mult = e.shiftKey ? 10 : e.altKey ? 0.1 : 1;
+    const next = (parseFloat(el.value) || 0) + (e.key === 'ArrowUp' ? 1 : -1) * step * mult;
+    el.value = +next.toFixed(3);
+    applyInspectorField(key);
+  });
+});
 
-    layersList.appendChild(item);
+// ═══════════════════════════════════════════════
+// PRINT QUALITY
+// ═══════════════════════════════════════════════
+// Effective DPI is the decal's source pixels spread over its real printed
+// size (from the model profile's scale). SVG decals are re-rasterized for
+// any output, so they have none. The preflight check runs before exports
+// and lists anything likely to print badly.
+const PRINT_MIN_DPI = 150;
+const COVERAGE_SAMPLES = 9;   // per side of the grid probed for mesh coverage
+const COVERAGE_MIN = 0.98;    // share of a decal's opaque area that must land on the mesh
+const preflightList = document.getElementById('preflight-list');
+const layerDpiBadges = new Map(); // decal -> its badge in the layers panel
+
+function decalEffectiveDpi(d) {
+  if (d.svg) return null;
+  const { w, h } = decalDimensions(d);
+  const inches = (units) => units * mmPerUnit() / 25.4;
+  const img = d.texture.image;
+  return Math.min(img.width / inches(w), img.height / inches(h));
+}
+
+function updateLayerDpi(decal) {
+  const badge = layerDpiBadges.get(decal);
+  if (!badge) return;
+  const dpi = decalEffectiveDpi(decal);
+  const low = dpi !== null && dpi < PRINT_MIN_DPI;
+  badge.textContent = dpi === null ? 'vector' : `${Math.round(dpi)} dpi`;
+  badge.classList.toggle('low', low);
+  badge.title = low
+    ? `Below ${PRINT_MIN_DPI} dpi at this size — will look soft or pixelated in print`
+    : 'Effective print resolution at this size';
+}
+
+// Share of the decal's opaque pixels that project onto its mesh, probed by
+// casting rays through a grid the same way DecalGeometry projects
+function decalCoverage(d) {
+  const target = d.hit?.object;
+  const img = d.texture.image;
+  if (!target || !d.orient || !img.getContext) return 1;
+  const { data, width, height } = img.getContext('2d').getImageData(0, 0, img.width, img.height);
+  const { w, h } = decalDimensions(d);
+  const projector = new THREE.Matrix4().makeRotationFromEuler(d.orient).setPosition(d.position);
+  const dir = new THREE.Vector3(0, 0, -1).transformDirection(projector);
+  const probe = new THREE.Raycaster();
+  probe.far = d.size;
+  let opaque = 0, covered = 0;
+  for (let j = 0; j < COVERAGE_SAMPLES; j++) {
+    for (let i = 0; i < COVERAGE_SAMPLES; i++) {
+      const u = (i + 0.5) / COVERAGE_SAMPLES;
+      const v = (j + 0.5) / COVERAGE_SAMPLES;
+      // Canvas rows run top-down while decal v runs bottom-up
+      const px = Math.floor((d.flipH ? 1 - u : u) * width);
+      const py = Math.floor((d.flipV ? v : 1 - v) * height);
+      if (data[(py * width + px) * 4 + 3] < 128) continue;
+      opaque++;
+      const origin = new THREE.Vector3((u - 0.5) * w, (v - 0.5) * h, d.size / 2).applyMatrix4(projector);
+      probe.set(origin, dir);
+      if (probe.intersectObject(target, false).length > 0) covered++;
+    }
+  }
+  return opaque ? covered / opaque : 1;
+}
+
+function preflightIssues() {
+  const issues = [];
+  for (const d of decals) {
+    const name = decalLabel(d);
+    if (d.visible === false) {
+      issues.push(`${name} is hidden and won't be exported`);
+      continue;
+    }
+    const dpi = decalEffectiveDpi(d);
+    if (dpi !== null && dpi < PRINT_MIN_DPI) {
+      issues.push(`${name} is low resolution: ${Math.round(dpi)} dpi at its current size (aim for ${PRINT_MIN_DPI}+)`);
+    }
+    const coverage = decalCoverage(d);
+    if (coverage < COVERAGE_MIN) {
+      issues.push(`${name} hangs off the edge of its section (${Math.round((1 - coverage) * 100)}% is cut off)`);
+    }
+  }
+  return issues;
+}
+
+// Resolves true to go ahead with the export, false if the user backs out
+function confirmPreflight() {
+  const issues = preflightIssues();
+  if (issues.length === 0) return Promise.resolve(true);
+  preflightList.innerHTML = '';
+  issues.forEach(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    preflightList.appendChild(li);
+  });
+  preflightOverlay.classList.remove('hidden');
+  return new Promise(resolve => {
+    const finish = (ok) => {
+      preflightOverlay.classList.add('hidden');
+      confirm.removeEventListener('click', onConfirm);
+      cancel.removeEventListener('click', onCancel);
+      resolve(ok);
+    };
+    const confirm = document.getElementById('preflight-confirm');
+    const cancel = document.getElementById('preflight-cancel');
+    const onConfirm = () => finish(true);
+    const onCancel = () => finish(false);
+    confirm.addEventListener('click', onConfirm);
+    cancel.addEventListener('click', onCancel);
   });
 }
 
@@ -972,7 +3171,8 @@ function dataURLtoBlob(dataURL) {
   return new Blob([arr], { type: mime });
 }
 
-function makeOrthoCamera(bbox, viewDir, up) {
+// `margin` (world units) is added on every side after the proportional padding
+function makeOrthoCamera(bbox, viewDir, up, pad = 1.1, margin = 0) {
   const size = bbox.getSize(new THREE.Vector3());
   const center = bbox.getCenter(new THREE.Vector3());
 
@@ -982,8 +3182,8 @@ function makeOrthoCamera(bbox, viewDir, up) {
   else if (absDir.y > 0.5) { w = size.x; h = size.z; }
   else { w = size.x; h = size.y; }
 
-  const pad = 1.1;
-  w *= pad; h *= pad;
+  w = w * pad + margin * 2;
+  h = h * pad + margin * 2;
 
   const cam = new THREE.OrthographicCamera(-w / 2, w / 2, h / 2, -h / 2, 0.001, 10);
   const maxDim = Math.max(size.x, size.y, size.z);
@@ -994,144 +3194,2523 @@ function makeOrthoCamera(bbox, viewDir, up) {
   return { cam, w, h };
 }
 
-function fitRendererToAspect(offscreen, w, h, maxDim) {
-  const aspect = w / h;
-  let rw, rh;
-  if (aspect >= 1) { rw = maxDim; rh = Math.round(maxDim / aspect); }
-  else { rh = maxDim; rw = Math.round(maxDim * aspect); }
-  offscreen.setSize(Math.max(rw, 1), Math.max(rh, 1));
+// ─── Export settings ───
+// Remembered in localStorage between sessions. Sections and views are stored
+// as exclusions so ones added by a new profile default to included.
+const EXPORT_SETTINGS_KEY = '3dricer-export-settings';
+const EXPORT_MAX_TILE = 4096; // per-render ceiling, even where the GPU allows more
+const exportOverlayFields = {
+  size: document.getElementById('export-size'),
+  supersample: document.getElementById('export-supersample'),
+  background: document.getElementById('export-background'),
+  backgroundColor: document.getElementById('export-background-color'),
+  lighting: document.getElementById('export-lighting'),
+  viewport: document.getElementById('export-viewport'),
+  full: document.getElementById('export-full'),
+  sections: document.getElementById('export-sections'),
+  views: document.getElementById('export-views'),
+};
+
+function defaultExportSettings() {
+  return {
+    size: 1024, supersample: 1,
+    background: 'transparent', backgroundColor: '#ffffff',
+    lighting: 'flat',
+    viewport: true, full: true,
+    excludedSections: [], excludedViews: [],
+  };
+}
+
+function loadExportSettings() {
+  try {
+    return { ...defaultExportSettings(), ...JSON.parse(localStorage.getItem(EXPORT_SETTINGS_KEY)) };
+  } catch {
+    return defaultExportSettings();
+  }
+}
+
+function checkboxList(container, items, excluded) {
+  container.innerHTML = '';
+  items.forEach(({ value, text }) => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = value;
+    box.checked = !excluded.includes(value);
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(text));
+    container.appendChild(label);
+  });
+}
+
+function uncheckedValues(container) {
+  return [...container.querySelectorAll('input:not(:checked)')].map(b => b.value);
 }
 
-async function exportPNGs() {
+function openExportDialog() {
   if (controllerMeshes.length === 0) {
     showStatus('No model loaded');
     return;
   }
+  const s = loadExportSettings();
+  const f = exportOverlayFields;
+  f.size.value = s.size;
+  f.supersample.value = s.supersample;
+  f.background.value = s.background;
+  f.backgroundColor.value = s.backgroundColor;
+  f.backgroundColor.disabled = s.background !== 'solid';
+  f.lighting.value = s.lighting;
+  f.viewport.checked = s.viewport;
+  f.full.checked = s.full;
+  checkboxList(f.sections, Object.keys(sectionMeshMap).map(l => ({ value: l, text: l })), s.excludedSections);
+  checkboxList(f.views, exportViews().map(v => ({ value: v.suffix, text: v.suffix })), s.excludedViews);
+  exportOverlay.classList.remove('hidden');
+}
 
-  showStatus('Exporting ZIP…');
-  const zip = new JSZip();
-  const imgFolder = zip.folder('controller-export');
+function readExportDialog() {
+  const f = exportOverlayFields;
+  return {
+    size: parseInt(f.size.value, 10),
+    supersample: parseInt(f.supersample.value, 10),
+    background: f.background.value,
+    backgroundColor: f.backgroundColor.value,
+    lighting: f.lighting.value,
+    viewport: f.viewport.checked,
+    full: f.full.checked,
+    excludedSections: uncheckedValues(f.sections),
+    excludedViews: uncheckedValues(f.views),
+  };
+}
+
+function outputSize(w, h, maxDim) {
+  const aspect = w / h;
+  return aspect >= 1
+    ? { width: maxDim, height: Math.max(1, Math.round(maxDim / aspect)) }
+    : { width: Math.max(1, Math.round(maxDim * aspect)), height: maxDim };
+}
 
-  // Helper: render to data URL and add to zip
-  function addRender(renderer, scene, cam, filename) {
-    renderer.render(scene, cam);
-    const dataURL = renderer.domElement.toDataURL('image/png');
-    imgFolder.file(filename, dataURLtoBlob(dataURL));
+// Render `cam` at width × height × supersample, in tiles (via the camera's
+// view offset) when that exceeds what one render can hold. Each tile is
+// scaled down into the output as it's drawn, so the full supersampled image
+// never exists in memory at once.
+function renderTiled(offscreen, cam, width, height, supersample) {
+  const out = document.createElement('canvas');
+  out.width = width;
+  out.height = height;
+  const ctx = out.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  const fullW = width * supersample;
+  const fullH = height * supersample;
+  const limit = Math.min(EXPORT_MAX_TILE, renderer.capabilities.maxTextureSize);
+  // Tiles are whole multiples of the supersample factor so they land on output pixels
+  const tile = Math.floor(limit / supersample) * supersample;
+  for (let y = 0; y < fullH; y += tile) {
+    for (let x = 0; x < fullW; x += tile) {
+      const tw = Math.min(tile, fullW - x);
+      const th = Math.min(tile, fullH - y);
+      offscreen.setSize(tw, th);
+      cam.setViewOffset(fullW, fullH, x, y, tw, th);
+      offscreen.render(scene, cam);
+      ctx.drawImage(offscreen.domElement, x / supersample, y / supersample, tw / supersample, th / supersample);
+    }
   }
+  cam.clearViewOffset();
+  return out;
+}
 
-  // 1. Viewport screenshot
-  renderer.render(scene, camera);
-  imgFolder.file('controller-viewport.png', dataURLtoBlob(renderer.domElement.toDataURL('image/png')));
+function canvasToBlob(c) {
+  return new Promise((resolve, reject) => {
+    c.toBlob(b => (b ? resolve(b) : reject(new Error('Could not encode PNG'))), 'image/png');
+  });
+}
 
-  // Offscreen renderer for isolated renders
-  const offscreen = new THREE.WebGLRenderer({ alpha: true, antialias: true, preserveDrawingBuffer: true });
-  offscreen.toneMapping = renderer.toneMapping;
-  offscreen.toneMappingExposure = renderer.toneMappingExposure;
+// ─── Section isolation ───
+// Shared by the PNG and print template exports: show one section and the
+// decals placed on it, then put every mesh back as it was
+function snapshotVisibility() {
+  const saved = new Map();
+  controllerMeshes.forEach(m => { saved.set(m, m.visible); });
+  decals.forEach(d => { saved.set(d.mesh, d.mesh.visible); });
+  return saved;
+}
 
-  // Save visibility state
-  const savedVisibility = new Map();
-  controllerMeshes.forEach(m => { savedVisibility.set(m, m.visible); });
-  decals.forEach(d => { savedVisibility.set(d.mesh, d.mesh.visible); });
-  const savedBackground = scene.background;
+function isolateSection(sectionMeshes, savedVisibility) {
+  controllerMeshes.forEach(m => { m.visible = sectionMeshes.includes(m); });
+  decals.forEach(d => {
+    d.mesh.visible = !!savedVisibility.get(d.mesh) && sectionMeshes.includes(d.hit.object);
+  });
+}
 
-  // Save original lights for restoration
-  const savedAmbientIntensity = ambientLight.intensity;
-  const savedDirIntensity = dirLight.intensity;
-  const savedDirPos = dirLight.position.clone();
+function restoreVisibility(savedVisibility) {
+  savedVisibility.forEach((vis, obj) => { obj.visible = vis; });
+}
 
-  function hideAll() {
-    controllerMeshes.forEach(m => { m.visible = false; });
-    decals.forEach(d => { d.mesh.visible = false; });
-    scene.background = null;
-  }
+// Flat, even lighting keeps isolated section colors accurate. Returns a
+// function that restores the previous lights.
+function applyFlatLighting() {
+  const saved = { ambient: ambientLight.intensity, dir: dirLight.intensity, dirPos: dirLight.position.clone() };
+  ambientLight.intensity = 1.8;
+  dirLight.intensity = 0.3;
+  return () => {
+    ambientLight.intensity = saved.ambient;
+    dirLight.intensity = saved.dir;
+    dirLight.position.copy(saved.dirPos);
+  };
+}
 
-  function restoreAll() {
-    savedVisibility.forEach((vis, obj) => { obj.visible = vis; });
-    scene.background = savedBackground;
-    ambientLight.intensity = savedAmbientIntensity;
-    dirLight.intensity = savedDirIntensity;
-    dirLight.position.copy(savedDirPos);
+async function exportPNGs(settings) {
+  if (controllerMeshes.length === 0) {
+    showStatus('No model loaded');
+    return;
   }
 
-  function showSectionMeshes(sectionMeshes) {
-    sectionMeshes.forEach(m => { m.visible = true; });
-    decals.forEach(d => {
-      if (savedVisibility.get(d.mesh) && sectionMeshes.includes(d.hit.object)) {
-        d.mesh.visible = true;
-      }
-    });
-  }
+  const { size, supersample } = settings;
+  showStatus('Exporting ZIP…');
+  // Before the visibility snapshot below: re-rasterizing replaces decal meshes
+  await prepareSvgDecalsForExport(size * supersample);
+  const zip = new JSZip();
+  const imgFolder = zip.folder('controller-export');
+
+  // Offscreen renderer for every render, so the viewport is left untouched
+  const offscreen = new THREE.WebGLRenderer({ alpha: true, antialias: true, preserveDrawingBuffer: true });
+  offscreen.toneMapping = renderer.toneMapping;
+  offscreen.toneMappingExposure = renderer.toneMappingExposure;
+  offscreen.setClearColor(0x000000, 0);
 
-  // Use flat, even lighting for isolated section renders so colors are accurate
-  function setFlatLighting() {
-    ambientLight.intensity = 1.8;
-    dirLight.intensity = 0.3;
+  // Helper: render to PNG and add to zip
+  async function addRender(cam, w, h, filename) {
+    const { width, height } = outputSize(w, h, size);
+    imgFolder.file(filename, await canvasToBlob(renderTiled(offscreen, cam, width, height, supersample)));
   }
 
-  // ── Per-section flat 2D orthographic renders (front, back, top, bottom, left, right) ──
-  // These are the main deliverable: isolated, flat, color-accurate section PNGs
-  const sectionOrthoViews = [
-    { suffix: 'front',  dir: new THREE.Vector3(0, 0, 1),  up: new THREE.Vector3(0, 1, 0) },
-    { suffix: 'back',   dir: new THREE.Vector3(0, 0, -1), up: new THREE.Vector3(0, 1, 0) },
-    { suffix: 'top',    dir: new THREE.Vector3(0, 1, 0),  up: new THREE.Vector3(0, 0, -1) },
-    { suffix: 'bottom', dir: new THREE.Vector3(0, -1, 0), up: new THREE.Vector3(0, 0, 1) },
-    { suffix: 'left',   dir: new THREE.Vector3(-1, 0, 0), up: new THREE.Vector3(0, 1, 0) },
-    { suffix: 'right',  dir: new THREE.Vector3(1, 0, 0),  up: new THREE.Vector3(0, 1, 0) },
-  ];
+  // Save visibility, background and lights for restoration
+  const savedVisibility = snapshotVisibility();
+  const savedBackground = scene.background;
+  const exportBackground = settings.background === 'current' ? savedBackground
+    : settings.background === 'solid' ? new THREE.Color(settings.backgroundColor) : null;
+  let restoreLighting = () => {};
+
+  try {
+    scene.background = exportBackground;
+
+    // 1. Viewport view, always with the viewport's own lighting
+    if (settings.viewport) {
+      showStatus('Rendering viewport…');
+      const cam = camera.clone();
+      await addRender(cam, canvas.clientWidth, canvas.clientHeight, 'controller-viewport.png');
+    }
 
-  setFlatLighting();
+    // ── Per-section flat 2D orthographic renders (views come from the model profile) ──
+    // These are the main deliverable: isolated, flat, color-accurate section PNGs
+    const sectionOrthoViews = exportViews().filter(v => !settings.excludedViews.includes(v.suffix));
+    const sections = Object.entries(sectionMeshMap).filter(([label]) => !settings.excludedSections.includes(label));
 
-  for (const [label, matName] of Object.entries(sectionMap)) {
-    const sectionMeshes = matMeshMap[matName];
-    if (!sectionMeshes || sectionMeshes.length === 0) continue;
+    if (settings.lighting === 'flat') restoreLighting = applyFlatLighting();
 
-    hideAll();
-    showSectionMeshes(sectionMeshes);
+    for (const [label, sectionMeshes] of sections) {
+      showStatus(`Rendering ${label}…`);
+      isolateSection(sectionMeshes, savedVisibility);
 
-    const bbox = new THREE.Box3();
-    sectionMeshes.forEach(m => bbox.expandByObject(m));
+      const bbox = new THREE.Box3();
+      sectionMeshes.forEach(m => bbox.expandByObject(m));
 
-    const safeName = label.toLowerCase().replace(/\s+/g, '-');
+      const safeName = label.toLowerCase().replace(/\s+/g, '-');
 
-    for (const view of sectionOrthoViews) {
-      const { cam, w, h } = makeOrthoCamera(bbox, view.dir, view.up);
-      fitRendererToAspect(offscreen, w, h, 1024);
-      addRender(offscreen, scene, cam, `sections/${safeName}-${view.suffix}.png`);
+      for (const view of sectionOrthoViews) {
+        const { cam, w, h } = makeOrthoCamera(bbox, view.dir, view.up);
+        await addRender(cam, w, h, `sections/${safeName}-${view.suffix}.png`);
+      }
     }
-  }
 
-  // ── Full controller orthographic views (6 directions) ──
-  restoreAll();
-  scene.background = null;
-  setFlatLighting();
+    // ── Full controller orthographic views ──
+    if (settings.full) {
+      showStatus('Rendering full controller…');
+      restoreVisibility(savedVisibility);
 
-  const fullBbox = new THREE.Box3();
-  controllerMeshes.forEach(m => { if (m.visible) fullBbox.expandByObject(m); });
+      const fullBbox = new THREE.Box3();
+      controllerMeshes.forEach(m => { if (m.visible) fullBbox.expandByObject(m); });
 
-  for (const view of sectionOrthoViews) {
-    const { cam, w, h } = makeOrthoCamera(fullBbox, view.dir, view.up);
-    fitRendererToAspect(offscreen, w, h, 1024);
-    addRender(offscreen, scene, cam, `ortho/controller-${view.suffix}.png`);
+      for (const view of sectionOrthoViews) {
+        const { cam, w, h } = makeOrthoCamera(fullBbox, view.dir, view.up);
+        await addRender(cam, w, h, `ortho/controller-${view.suffix}.png`);
+      }
+    }
+  } finally {
+    // Restore everything
+    restoreVisibility(savedVisibility);
+    scene.background = savedBackground;
+    restoreLighting();
+    offscreen.dispose();
   }
 
-  // Restore everything
-  restoreAll();
-  offscreen.dispose();
-
   // Generate and download ZIP
   showStatus('Compressing ZIP…');
   const blob = await zip.generateAsync({ type: 'blob' });
+  downloadBlob(blob, 'controller-export.zip');
+  showStatus('Export complete — ZIP downloaded');
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'controller-export.zip';
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
-  showStatus('Export complete — ZIP downloaded');
 }
 
-document.getElementById('btn-export').addEventListener('click', exportPNGs);
+document.getElementById('btn-export').addEventListener('click', openExportDialog);
+exportOverlayFields.background.addEventListener('change', () => {
+  exportOverlayFields.backgroundColor.disabled = exportOverlayFields.background.value !== 'solid';
+});
+document.getElementById('export-confirm').addEventListener('click', async () => {
+  const settings = readExportDialog();
+  localStorage.setItem(EXPORT_SETTINGS_KEY, JSON.stringify(settings));
+  exportOverlay.classList.add('hidden');
+  if (!(await confirmPreflight())) return;
+  try {
+    await exportPNGs(settings);
+  } catch (err) {
+    console.error(err);
+    showStatus('Export failed: ' + err.message);
+  }
+});
+document.getElementById('export-cancel').addEventListener('click', () => exportOverlay.classList.add('hidden'));
+exportOverlay.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') exportOverlay.classList.add('hidden');
+});
+
+// ═══════════════════════════════════════════════
+// PRINT TEMPLATES
+// ═══════════════════════════════════════════════
+// Each section's ortho view rendered at true size: the profile's real
+// dimensions (mmPerUnit) set the scale, so a page printed at 100% matches the
+// controller. The artwork is grown outward by the bleed, and the cut line
+// (the section's silhouette) and bleed edge are drawn as separate overlays.
+const printFields = {
+  format: document.getElementById('print-format'),
+  dpi: document.getElementById('print-dpi'),
+  bleed: document.getElementById('print-bleed'),
+  view: document.getElementById('print-view'),
+};
+const PRINT_MARGIN_MM = 2;     // clear space beyond the bleed edge
+const PRINT_LABEL_MM = 8;      // header strip with the page title
+const CUT_LINE_COLOR = [255, 0, 255];
+const BLEED_LINE_COLOR = [0, 174, 239];
+
+const mmToPx = (mm, dpi) => mm / 25.4 * dpi;
+const pxToMm = (px, dpi) => px / dpi * 25.4;
+
+function refreshPrintViews() {
+  const current = printFields.view.value;
+  printFields.view.innerHTML = '';
+  exportViews().forEach(v => printFields.view.appendChild(new Option(v.suffix, v.suffix)));
+  printFields.view.appendChild(new Option('All views', '__all'));
+  if ([...printFields.view.options].some(o => o.value === current)) printFields.view.value = current;
+}
+
+// Pixels of `mask` (alpha > 127) that touch a pixel outside it
+function maskOutline(mask, w, h) {
+  const edge = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (!mask[i]) continue;
+      if (x === 0 || y === 0 || x === w - 1 || y === h - 1 ||
+          !mask[i - 1] || !mask[i + 1] || !mask[i - w] || !mask[i + w]) edge[i] = 1;
+    }
+  }
+  return edge;
+}
+
+function outlineCanvas(edge, w, h, [r, g, b]) {
+  const c = document.createElement('canvas');
+  c.width = w;
+  c.height = h;
+  const ctx = c.getContext('2d');
+  const img = ctx.createImageData(w, h);
+  for (let i = 0; i < edge.length; i++) {
+    if (!edge[i]) continue;
+    img.data[i * 4] = r; img.data[i * 4 + 1] = g; img.data[i * 4 + 2] = b; img.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(img, 0, 0);
+  return c;
+}
+
+// Grow the art outward by `radius` px in one breadth-first pass from every
+// opaque pixel: each empty pixel takes the color of the neighbour that reached
+// it first. Returns each pixel's distance from the art (0 inside, -1 beyond
+// the bleed).
+function growBleed(px, width, height, radius) {
+  const dist = new Int16Array(width * height).fill(-1);
+  const queue = new Int32Array(width * height);
+  let head = 0, tail = 0;
+  for (let i = 0; i < dist.length; i++) {
+    if (px[i * 4 + 3] > 127) {
+      dist[i] = 0;
+      queue[tail++] = i;
+    }
+  }
+  while (head < tail) {
+    const i = queue[head++];
+    const d = dist[i];
+    if (d >= radius) continue;
+    const x = i % width;
+    const y = (i - x) / width;
+    for (let dy = -1; dy <= 1; dy++) {
+      const yy = y + dy;
+      if (yy < 0 || yy >= height) continue;
+      for (let dx = -1; dx <= 1; dx++) {
+        const xx = x + dx;
+        if (xx < 0 || xx >= width) continue;
+        const j = yy * width + xx;
+        if (dist[j] !== -1) continue;
+        dist[j] = d + 1;
+        px[j * 4] = px[i * 4]; px[j * 4 + 1] = px[i * 4 + 1]; px[j * 4 + 2] = px[i * 4 + 2]; px[j * 4 + 3] = 255;
+        queue[tail++] = j;
+      }
+    }
+  }
+  return dist;
+}
+
+// One page: the section at true size with bleed, plus cut and bleed lines
+function renderPrintPage(offscreen, sectionMeshes, view, dpi, bleedMm) {
+  const bbox = new THREE.Box3();
+  sectionMeshes.forEach(m => bbox.expandByObject(m));
+  const unitsPerMm = 1 / mmPerUnit();
+  const { cam, w, h } = makeOrthoCamera(bbox, view.dir, view.up, 1, (bleedMm + PRINT_MARGIN_MM) * unitsPerMm);
+  // Round to whole pixels, then widen the frustum to match so the scale stays exact
+  const width = Math.ceil(mmToPx(w / unitsPerMm, dpi));
+  const height = Math.ceil(mmToPx(h / unitsPerMm, dpi));
+  const halfW = pxToMm(width, dpi) * unitsPerMm / 2;
+  const halfH = pxToMm(height, dpi) * unitsPerMm / 2;
+  Object.assign(cam, { left: -halfW, right: halfW, top: halfH, bottom: -halfH });
+  cam.updateProjectionMatrix();
+
+  const art = renderTiled(offscreen, cam, width, height, 1);
+  const ctx = art.getContext('2d');
+  const img = ctx.getImageData(0, 0, width, height);
+  const dist = growBleed(img.data, width, height, Math.round(mmToPx(bleedMm, dpi)));
+  ctx.putImageData(img, 0, 0);
+  const cut = new Uint8Array(width * height);
+  const bleed = new Uint8Array(width * height);
+  for (let i = 0; i < dist.length; i++) {
+    cut[i] = dist[i] === 0 ? 1 : 0;
+    bleed[i] = dist[i] >= 0 ? 1 : 0;
+  }
+
+  return {
+    art,
+    cutLine: outlineCanvas(maskOutline(cut, width, height), width, height, CUT_LINE_COLOR),
+    bleedLine: outlineCanvas(maskOutline(bleed, width, height), width, height, BLEED_LINE_COLOR),
+    widthMm: pxToMm(width, dpi),
+    heightMm: pxToMm(height, dpi),
+  };
+}
+
+// Template writers take one page at a time so its canvases can be released
+// before the next page renders
+function printTemplatePDF() {
+  const { jsPDF } = window.jspdf;
+  let doc = null;
+  return {
+    add(p) {
+      const format = [p.widthMm, p.heightMm + PRINT_LABEL_MM];
+      const orientation = format[0] > format[1] ? 'landscape' : 'portrait';
+      if (!doc) doc = new jsPDF({ unit: 'mm', format, orientation });
+      else doc.addPage(format, orientation);
+      doc.setFontSize(9);
+      doc.text(p.title, 2, PRINT_LABEL_MM - 3);
+      for (const layer of [p.art, p.bleedLine, p.cutLine]) {
+        doc.addImage(layer.toDataURL('image/png'), 'PNG', 0, PRINT_LABEL_MM, p.widthMm, p.heightMm);
+      }
+    },
+    finish: () => doc.output('blob'),
+  };
+}
+
+// Pages stacked top to bottom in one SVG, millimetre units throughout. Art
+// and the two line overlays are separate groups so they can be toggled.
+function printTemplateSVG() {
+  const groups = [];
+  let width = 0;
+  let y = 0;
+  return {
+    add(p) {
+      width = Math.max(width, p.widthMm);
+      const top = y + PRINT_LABEL_MM;
+      y = top + p.heightMm + PRINT_LABEL_MM;
+      const image = (id, c) =>
+        `<image id="${id}" x="0" y="${top}" width="${p.widthMm}" height="${p.heightMm}" href="${c.toDataURL('image/png')}"/>`;
+      const id = p.title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      groups.push(`<g id="${id}">
+  <text x="2" y="${top - 3}" font-family="sans-serif" font-size="3.2">${p.title.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</text>
+  <g id="${id}-art">${image(id + '-art-image', p.art)}</g>
+  <g id="${id}-bleed">${image(id + '-bleed-image', p.bleedLine)}</g>
+  <g id="${id}-cut">${image(id + '-cut-image', p.cutLine)}</g>
+</g>`);
+    },
+    finish() {
+      const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${y}mm" viewBox="0 0 ${width} ${y}">
+${groups.join('\n')}
+</svg>
+`;
+      return new Blob([svg], { type: 'image/svg+xml' });
+    },
+  };
+}
+
+async function exportPrintTemplate() {
+  if (controllerMeshes.length === 0) {
+    showStatus('No model loaded');
+    return;
+  }
+  const dpi = parseInt(printFields.dpi.value, 10);
+  const bleedMm = Math.max(0, parseFloat(printFields.bleed.value) || 0);
+  const views = exportViews().filter(v => printFields.view.value === '__all' || v.suffix === printFields.view.value);
+  const pdf = printFields.format.value === 'pdf';
+
+  showStatus('Rendering print template…');
+  const extentMm = Math.max(...new THREE.Box3().setFromObject(controllerModel).getSize(new THREE.Vector3()).toArray()) * mmPerUnit();
+  await prepareSvgDecalsForExport(mmToPx(extentMm, dpi));
+
+  const offscreen = new THREE.WebGLRenderer({ alpha: true, antialias: true, preserveDrawingBuffer: true });
+  offscreen.toneMapping = renderer.toneMapping;
+  offscreen.toneMappingExposure = renderer.toneMappingExposure;
+  offscreen.setClearColor(0x000000, 0);
+  const savedVisibility = snapshotVisibility();
+  const savedBackground = scene.background;
+  const restoreLighting = applyFlatLighting();
+  scene.background = null;
+
+  const writer = pdf ? printTemplatePDF() : printTemplateSVG();
+  try {
+    for (const [label, sectionMeshes] of Object.entries(sectionMeshMap)) {
+      showStatus(`Rendering ${label}…`);
+      isolateSection(sectionMeshes, savedVisibility);
+      for (const view of views) {
+        const page = renderPrintPage(offscreen, sectionMeshes, view, dpi, bleedMm);
+        page.title = `${label}, ${view.suffix} view, ${dpi} dpi, ${bleedMm} mm bleed`;
+        writer.add(page);
+        // Zero-sized canvases hand their pixel memory back right away
+        [page.art, page.bleedLine, page.cutLine].forEach(c => { c.width = c.height = 0; });
+      }
+    }
+  } finally {
+    restoreVisibility(savedVisibility);
+    scene.background = savedBackground;
+    restoreLighting();
+    offscreen.dispose();
+  }
+
+  showStatus(pdf ? 'Building PDF…' : 'Building SVG…');
+  const blob = writer.finish();
+  downloadBlob(blob, pdf ? 'controller-template.pdf' : 'controller-template.svg');
+  showStatus(activeProfile?.dimensionsMm
+    ? 'Print template exported'
+    : 'Print template exported — no profile dimensions, scale is approximate');
+}
+
+refreshPrintViews();
+document.getElementById('btn-print').addEventListener('click', async () => {
+  if (!(await confirmPreflight())) return;
+  try {
+    await exportPrintTemplate();
+  } catch (err) {
+    console.error(err);
+    showStatus('Print template failed: ' + err.message);
+  }
+});
+
+// ═══════════════════════════════════════════════
+// TEXTURE BAKE
+// ═══════════════════════════════════════════════
+// Renders each material's meshes flattened into UV space: the section color
+// or fill first, then every visible decal projected onto it the same way
+// DecalGeometry projects, in layer order. The result is an albedo texture per
+// material from matMeshMap that other tools and print vendors can use
+// directly. Lighting-only effects (finishes, glow) are not baked.
+const bakeSizeSelect = document.getElementById('bake-size');
+const bakePaddingInput = document.getElementById('bake-padding');
+const BAKE_BLEND_MODES = { normal: 0, multiply: 1, screen: 2, overlay: 3 };
+
+const BAKE_VERTEX = `
+  varying vec2 vUv;
+  varying vec3 vWorldPos;
+  varying vec3 vWorldNormal;
+  void main() {
+    vUv = uv;
+    vWorldPos = ( modelMatrix * vec4( position, 1.0 ) ).xyz;
+    vWorldNormal = normalize( mat3( modelMatrix ) * normal );
+    gl_Position = vec4( uv * 2.0 - 1.0, 0.0, 1.0 );
+  }`;
+
+// What the section looks like without lighting: color × (original map or fill)
+function createBakeBaseMaterial(mat) {
+  const map = mat.map || null;
+  map?.updateMatrix();
+  const fill = mat.userData.fillUniforms;
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uColor: { value: mat.color.clone() },
+      uMap: { value: map },
+      uMapTransform: { value: map ? map.matrix.clone() : new THREE.Matrix3() },
+      uFillScale: { value: fill ? fill.uFillScale.value : 1 },
+      uFillTransform: { value: fill ? fill.uFillTransform.value.clone() : new THREE.Matrix3() },
+    },
+    defines: {
+      ...(map ? { USE_BAKE_MAP: '' } : {}),
+      ...(mat.defines && 'USE_TRIPLANAR_FILL' in mat.defines ? { USE_TRIPLANAR_FILL: '' } : {}),
+    },
+    vertexShader: BAKE_VERTEX,
+    fragmentShader: `
+      uniform vec3 uColor;
+      uniform sampler2D uMap;
+      uniform mat3 uMapTransform;
+      uniform float uFillScale;
+      uniform mat3 uFillTransform;
+      varying vec2 vUv;
+      varying vec3 vWorldPos;
+      varying vec3 vWorldNormal;
+      void main() {
+        vec4 c = vec4( uColor, 1.0 );
+        #if defined( USE_TRIPLANAR_FILL )
+          vec3 w = pow( abs( normalize( vWorldNormal ) ), vec3( 4.0 ) );
+          w /= w.x + w.y + w.z;
+          vec3 p = vWorldPos * uFillScale;
+          c *= texture2D( uMap, ( uFillTransform * vec3( p.zy, 1.0 ) ).xy ) * w.x +
+            texture2D( uMap, ( uFillTransform * vec3( p.xz, 1.0 ) ).xy ) * w.y +
+            texture2D( uMap, ( uFillTransform * vec3( p.xy, 1.0 ) ).xy ) * w.z;
+        #elif defined( USE_BAKE_MAP )
+          c *= texture2D( uMap, ( uMapTransform * vec3( vUv, 1.0 ) ).xy );
+        #endif
+        gl_FragColor = vec4( c.rgb, 1.0 );
+      }`,
+    side: THREE.DoubleSide,
+    depthTest: false,
+    depthWrite: false,
+  });
+}
+
+// One decal composited over the previous pass (`uPrev`), so every blend
+// mode sees the real pixel underneath rather than the section's flat color
+function createBakeDecalMaterial(decal, prev, size) {
+  const a = decal.aspect;
+  const decalSize = new THREE.Vector3(a >= 1 ? decal.size : decal.size * a, a >= 1 ? decal.size / a : decal.size, decal.size);
+  const projector = new THREE.Matrix4().makeRotationFromEuler(decal.orient).setPosition(decal.position).invert();
+  const map = decal.mesh.material.map; // carries the flips
+  map.updateMatrix();
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uPrev: { value: prev },
+      uResolution: { value: new THREE.Vector2(size, size) },
+      uDecal: { value: map },
+      uDecalTransform: { value: map.matrix.clone() },
+      uProjector: { value: projector },
+      uSize: { value: decalSize },
+      uOpacity: { value: decal.opacity ?? 1 },
+      uTint: { value: new THREE.Color(decal.tint?.color || '#ffffff') },
+      uTintAmount: { value: decal.tint ? decal.tint.amount : 0 },
+      uBlend: { value: BAKE_BLEND_MODES[decal.blend] || 0 },
+    },
+    vertexShader: BAKE_VERTEX,
+    fragmentShader: `
+      uniform sampler2D uPrev;
+      uniform vec2 uResolution;
+      uniform sampler2D uDecal;
+      uniform mat3 uDecalTransform;
+      uniform mat4 uProjector;
+      uniform vec3 uSize;
+      uniform float uOpacity;
+      uniform vec3 uTint;
+      uniform float uTintAmount;
+      uniform int uBlend;
+      varying vec2 vUv;
+      varying vec3 vWorldPos;
+      varying vec3 vWorldNormal;
+      void main() {
+        vec4 base = texture2D( uPrev, gl_FragCoord.xy / uResolution );
+        vec3 p = ( uProjector * vec4( vWorldPos, 1.0 ) ).xyz;
+        if ( any( greaterThan( abs( p ), uSize * 0.5 ) ) ) {
+          gl_FragColor = base;
+          return;
+        }
+        vec4 d = texture2D( uDecal, ( uDecalTransform * vec3( p.xy / uSize.xy + 0.5, 1.0 ) ).xy );
+        d.rgb = mix( d.rgb, uTint, uTintAmount );
+        vec3 c = d.rgb;
+        if ( uBlend == 1 ) c = base.rgb * d.rgb;
+        else if ( uBlend == 2 ) c = 1.0 - ( 1.0 - base.rgb ) * ( 1.0 - d.rgb );
+        else if ( uBlend == 3 ) c = mix( 2.0 * base.rgb * d.rgb,
+          1.0 - 2.0 * ( 1.0 - base.rgb ) * ( 1.0 - d.rgb ), step( 0.5, base.rgb ) );
+        gl_FragColor = vec4( mix( base.rgb, c, d.a * uOpacity ), base.a );
+      }`,
+    side: THREE.DoubleSide,
+    depthTest: false,
+    depthWrite: false,
+  });
+}
+
+function createBakeCopyMaterial(prev, size) {
+  return new THREE.ShaderMaterial({
+    uniforms: { uPrev: { value: prev }, uResolution: { value: new THREE.Vector2(size, size) } },
+    vertexShader: 'void main() { gl_Position = vec4( position.xy, 0.0, 1.0 ); }',
+    fragmentShader: `
+      uniform sampler2D uPrev;
+      uniform vec2 uResolution;
+      void main() { gl_FragColor = texture2D( uPrev, gl_FragCoord.xy / uResolution ); }`,
+    depthTest: false,
+    depthWrite: false,
+  });
+}
+
+// Grow the baked islands outward by `passes` pixels, each empty pixel taking
+// the average of its filled neighbours, so mipmapping and filtering near UV
+// seams never pull in the empty background
+function dilateBake(px, width, height, passes) {
+  const filled = new Uint8Array(width * height);
+  for (let i = 0; i < filled.length; i++) filled[i] = px[i * 4 + 3] > 0 ? 1 : 0;
+  for (let pass = 0; pass < passes; pass++) {
+    const grown = filled.slice();
+    let changed = false;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (filled[i]) continue;
+        let r = 0, g = 0, b = 0, n = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          const yy = y + dy;
+          if (yy < 0 || yy >= height) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const xx = x + dx;
+            if (xx < 0 || xx >= width || !filled[yy * width + xx]) continue;
+            const j = (yy * width + xx) * 4;
+            r += px[j]; g += px[j + 1]; b += px[j + 2]; n++;
+          }
+        }
+        if (n === 0) continue;
+        px[i * 4] = r / n; px[i * 4 + 1] = g / n; px[i * 4 + 2] = b / n; px[i * 4 + 3] = 255;
+        grown[i] = 1;
+        changed = true;
+      }
+    }
+    filled.set(grown);
+    if (!changed) break;
+  }
+}
+
+// Bake one material's meshes; returns a canvas whose top row is v = 0, the
+// glTF texture convention, so it drops straight back onto the model
+function bakeMaterial(meshes, size, padding) {
+  const targetOptions = { colorSpace: THREE.SRGBColorSpace, depthBuffer: false };
+  let src = new THREE.WebGLRenderTarget(size, size, targetOptions);
+  let dst = new THREE.WebGLRenderTarget(size, size, targetOptions);
+  const bakeScene = new THREE.Scene();
+  const bakeCamera = new THREE.Camera();
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+  quad.frustumCulled = false;
+  quad.renderOrder = -1; // the copy must land before the decal pass draws over it
+  const proxies = meshes.map(m => {
+    const proxy = new THREE.Mesh(m.geometry);
+    proxy.matrixAutoUpdate = false;
+    proxy.matrix.copy(m.matrixWorld);
+    proxy.frustumCulled = false;
+    return proxy;
+  });
+  const materials = [];
+  const use = (mat) => { materials.push(mat); return mat; };
+
+  const savedTarget = renderer.getRenderTarget();
+  const savedClear = renderer.getClearColor(new THREE.Color());
+  const savedAlpha = renderer.getClearAlpha();
+  const savedAutoClear = renderer.autoClear;
+  renderer.setClearColor(0x000000, 0);
+
+  // Base pass
+  proxies.forEach((p, i) => { p.material = use(createBakeBaseMaterial(meshes[i].material)); bakeScene.add(p); });
+  renderer.setRenderTarget(src);
+  renderer.autoClear = true;
+  renderer.render(bakeScene, bakeCamera);
+
+  // One pass per decal, ping-ponging between the two targets
+  const layered = decals
+    .filter(d => d.visible !== false && d.mesh && meshes.includes(d.hit?.object))
+    .sort((a, b) => (a.layer || 0) - (b.layer || 0));
+  renderer.autoClear = false;
+  for (const decal of layered) {
+    bakeScene.clear();
+    quad.material = use(createBakeCopyMaterial(src.texture, size));
+    bakeScene.add(quad);
+    const target = proxies[meshes.indexOf(decal.hit.object)];
+    target.material = use(createBakeDecalMaterial(decal, src.texture, size));
+    bakeScene.add(target);
+    renderer.setRenderTarget(dst);
+    renderer.clear();
+    renderer.render(bakeScene, bakeCamera);
+    [src, dst] = [dst, src];
+  }
+
+  const px = new Uint8Array(size * size * 4);
+  renderer.readRenderTargetPixels(src, 0, 0, size, size, px);
+
+  renderer.setRenderTarget(savedTarget);
+  renderer.setClearColor(savedClear, savedAlpha);
+  renderer.autoClear = savedAutoClear;
+  materials.forEach(m => m.dispose());
+  quad.geometry.dispose();
+  src.dispose();
+  dst.dispose();
+
+  dilateBake(px, size, size, padding);
+  const c = document.createElement('canvas');
+  c.width = c.height = size;
+  c.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(px.buffer), size, size), 0, 0);
+  return c;
+}
+
+// material name -> baked canvas, for every material whose meshes have UVs
+async function bakeTextures(size, padding) {
+  await prepareSvgDecalsForExport(size);
+  scene.updateMatrixWorld();
+  const baked = new Map();
+  for (const [name, meshes] of Object.entries(matMeshMap)) {
+    const withUvs = meshes.filter(m => m.geometry.getAttribute('uv'));
+    if (withUvs.length < meshes.length) console.warn(`Skipping meshes without UVs in material ${name}`);
+    if (withUvs.length === 0) continue;
+    baked.set(name, bakeMaterial(withUvs, size, padding));
+  }
+  return baked;
+}
+
+async function exportBakedTextures() {
+  if (controllerMeshes.length === 0) {
+    showStatus('No model loaded');
+    return;
+  }
+  const size = Math.min(parseInt(bakeSizeSelect.value, 10), renderer.capabilities.maxTextureSize);
+  const padding = Math.max(0, parseInt(bakePaddingInput.value, 10) || 0);
+  showStatus(`Baking ${size}px textures…`);
+  try {
+    const baked = await bakeTextures(size, padding);
+    if (baked.size === 0) {
+      showStatus('This model has no UVs to bake into');
+      return;
+    }
+    const zip = new JSZip();
+    const folder = zip.folder('controller-textures');
+    for (const [name, c] of baked) {
+      const safeName = name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+      folder.file(`${safeName}.png`, dataURLtoBlob(c.toDataURL('image/png')));
+    }
+    showStatus('Compressing ZIP…');
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), 'controller-textures.zip');
+    showStatus(`Baked ${baked.size} texture${baked.size === 1 ? '' : 's'}`);
+  } catch (err) {
+    console.error(err);
+    showStatus('Bake failed: ' + err.message);
+  }
+}
+
+document.getElementById('btn-bake').addEventListener('click', async () => {
+  if (await confirmPreflight()) exportBakedTextures();
+});
+
+// ═══════════════════════════════════════════════
+// EXPORT GLB
+// ═══════════════════════════════════════════════
+// The whole customized controller as one binary glTF: a copy of the model
+// carrying the section materials, plus each visible decal mesh in layer
+// order. With "bake" on, decals are painted into per-material textures
+// instead (see TEXTURE BAKE), which every viewer renders the same way.
+const glbBakeInput = document.getElementById('glb-bake');
+
+// glTF has no tint or flip for a texture, so both are applied to a copy
+function decalExportTexture(decal) {
+  const img = decal.texture.image;
+  const c = document.createElement('canvas');
+  c.width = img.width;
+  c.height = img.height;
+  const ctx = c.getContext('2d');
+  ctx.translate(decal.flipH ? c.width : 0, decal.flipV ? c.height : 0);
+  ctx.scale(decal.flipH ? -1 : 1, decal.flipV ? -1 : 1);
+  ctx.drawImage(img, 0, 0);
+  if (decal.tint && decal.tint.amount > 0) {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'source-atop';
+    ctx.globalAlpha = decal.tint.amount;
+    ctx.fillStyle = decal.tint.color;
+    ctx.fillRect(0, 0, c.width, c.height);
+  }
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  return tex;
+}
+
+function decalExportName(decal) {
+  return decal.text ? 'text-' + decal.text.text.slice(0, 24) : 'decal-' + (decals.indexOf(decal) + 1);
+}
+
+async function buildExportScene(bake) {
+  const root = new THREE.Group();
+  root.name = modelName.replace(/^.*\//, '').replace(/\.\w+$/, '') || 'controller';
+  const model = controllerModel.clone(true);
+  root.add(model);
+
+  // clone(true) keeps the same traversal order, so meshes pair up by index
+  const originals = [];
+  controllerModel.traverse(o => { if (o.isMesh) originals.push(o); });
+  const copies = [];
+  model.traverse(o => { if (o.isMesh) copies.push(o); });
+  const disposables = [];
+
+  if (bake) {
+    const size = Math.min(parseInt(bakeSizeSelect.value, 10), renderer.capabilities.maxTextureSize);
+    const baked = await bakeTextures(size, Math.max(0, parseInt(bakePaddingInput.value, 10) || 0));
+    const bakedMaterials = new Map();
+    for (const [name, c] of baked) {
+      const tex = new THREE.CanvasTexture(c);
+      tex.colorSpace = THREE.SRGBColorSpace;
+      tex.flipY = false; // baked canvases follow the glTF convention already
+      const sample = matMeshMap[name][0].material;
+      const mat = sample.clone();
+      mat.name = name;
+      mat.color.set('#ffffff');
+      mat.map = tex;
+      mat.emissiveMap = sample.emissiveMap === sample.map ? tex : sample.emissiveMap;
+      bakedMaterials.set(name, mat);
+      disposables.push(tex, mat);
+    }
+    copies.forEach((m, i) => {
+      const name = originals[i].material?.name || '';
+      if (bakedMaterials.has(name) && m.geometry.getAttribute('uv')) m.material = bakedMaterials.get(name);
+    });
+    return { root, disposables };
+  }
+
+  await prepareSvgDecalsForExport(2048);
+  const decalGroup = new THREE.Group();
+  decalGroup.name = 'decals';
+  decals
+    .filter(d => d.visible !== false && d.mesh)
+    .sort((a, b) => (a.layer || 0) - (b.layer || 0))
+    .forEach(d => {
+      const map = decalExportTexture(d);
+      const mat = d.mesh.material.clone();
+      mat.map = map;
+      mat.envMap = null;
+      mat.name = decalExportName(d);
+      const mesh = new THREE.Mesh(d.mesh.geometry, mat);
+      mesh.name = mat.name;
+      decalGroup.add(mesh);
+      disposables.push(map, mat);
+    });
+  root.add(decalGroup);
+  return { root, disposables };
+}
+
+async function exportGLB() {
+  if (controllerMeshes.length === 0) {
+    showStatus('No model loaded');
+    return;
+  }
+  const bake = glbBakeInput.checked;
+  showStatus(bake ? 'Baking textures for GLB…' : 'Exporting GLB…');
+  let built = null;
+  try {
+    built = await buildExportScene(bake);
+    const glb = await new GLTFExporter().parseAsync(built.root, { binary: true, onlyVisible: true });
+    downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), 'controller-design.glb');
+    // Unbaked decals are plain alpha-blended glTF materials
+    const caveats = bake ? [] : [
+      Object.values(sectionSettings).some(st => st.fill?.mapping === 'triplanar') && 'triplanar fills use model UVs',
+      decals.some(d => d.visible !== false && (d.blend || 'normal') !== 'normal') && 'decal blend modes are viewport-only',
+    ].filter(Boolean);
+    showStatus(caveats.length
+      ? `GLB exported — ${caveats.join(', ')} unless baked`
+      : 'GLB exported');
+  } catch (err) {
+    console.error(err);
+    showStatus('GLB export failed: ' + err.message);
+  } finally {
+    built?.disposables.forEach(d => d.dispose());
+  }
+}
+
+document.getElementById('btn-glb').addEventListener('click', async () => {
+  if (await confirmPreflight()) exportGLB();
+});
+
+// ═══════════════════════════════════════════════
+// TURNTABLE
+// ═══════════════════════════════════════════════
+// Orbits a copy of the current camera around controls.target and renders
+// each step offscreen, then packs the frames as an animated GIF, a WebM
+// (MediaRecorder on the offscreen canvas) or a ZIP of numbered PNGs.
+const turntableFields = {
+  format: document.getElementById('tt-format'),
+  size: document.getElementById('tt-size'),
+  degrees: document.getElementById('tt-degrees'),
+  frames: document.getElementById('tt-frames'),
+  fps: document.getElementById('tt-fps'),
+  transparent: document.getElementById('tt-transparent'),
+  background: document.getElementById('tt-background'),
+};
+const TURNTABLE_MAX_FRAMES = 360;
+
+function readTurntableParams() {
+  const f = turntableFields;
+  const clamp = (v, min, max, fallback) => Math.min(max, Math.max(min, Number.isFinite(v) ? v : fallback));
+  return {
+    format: f.format.value,
+    size: Math.min(parseInt(f.size.value, 10), renderer.capabilities.maxTextureSize),
+    degrees: clamp(parseFloat(f.degrees.value), 1, 3600, 360),
+    frames: Math.round(clamp(parseInt(f.frames.value, 10), 2, TURNTABLE_MAX_FRAMES, 60)),
+    fps: clamp(parseInt(f.fps.value, 10), 1, 60, 30),
+    background: f.transparent.checked ? null : f.background.value,
+  };
+}
+
+// Calls onFrame(canvas, index) after rendering each step of the orbit
+async function renderTurntable(p, onFrame) {
+  await prepareSvgDecalsForExport(p.size);
+  const offscreen = new THREE.WebGLRenderer({ alpha: true, antialias: true, preserveDrawingBuffer: true });
+  offscreen.toneMapping = renderer.toneMapping;
+  offscreen.toneMappingExposure = renderer.toneMappingExposure;
+  offscreen.setClearColor(0x000000, 0);
+  offscreen.setSize(p.size, p.size);
+  const cam = camera.clone();
+  cam.aspect = 1;
+  cam.updateProjectionMatrix();
+  const savedBackground = scene.background;
+  scene.background = p.background ? new THREE.Color(p.background) : null;
+
+  // A full loop ends one step short of the start so it repeats seamlessly
+  const loops = p.degrees % 360 === 0;
+  const step = THREE.MathUtils.degToRad(p.degrees) / (loops ? p.frames : p.frames - 1);
+  const offset = camera.position.clone().sub(controls.target);
+  try {
+    for (let i = 0; i < p.frames; i++) {
+      cam.position.copy(controls.target).add(offset.clone().applyAxisAngle(camera.up, step * i));
+      cam.lookAt(controls.target);
+      offscreen.render(scene, cam);
+      await onFrame(offscreen.domElement, i);
+      if (i % 10 === 0) showStatus(`Rendering turntable… ${i + 1}/${p.frames}`);
+    }
+  } finally {
+    scene.background = savedBackground;
+    offscreen.dispose();
+  }
+}
+
+async function turntableGIF(p) {
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / p.fps);
+  const scratch = document.createElement('canvas');
+  scratch.width = scratch.height = p.size;
+  const ctx = scratch.getContext('2d', { willReadFrequently: true });
+  await renderTurntable(p, (frame) => {
+    ctx.clearRect(0, 0, p.size, p.size);
+    ctx.drawImage(frame, 0, 0);
+    const { data } = ctx.getImageData(0, 0, p.size, p.size);
+    if (p.background) {
+      const palette = quantize(data, 256);
+      gif.writeFrame(applyPalette(data, palette), p.size, p.size, { palette, delay });
+    } else {
+      // GIF transparency is 1-bit: quantize with alpha and key out the clear entry
+      const palette = quantize(data, 256, { format: 'rgba4444', oneBitAlpha: true });
+      const transparentIndex = Math.max(0, palette.findIndex(c => c[3] === 0));
+      gif.writeFrame(applyPalette(data, palette, 'rgba4444'), p.size, p.size,
+        { palette, delay, transparent: true, transparentIndex });
+    }
+  });
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+}
+
+// MediaRecorder works in real time, so frames are pushed on the fps clock
+async function turntableWebM(p) {
+  if (typeof MediaRecorder === 'undefined') throw new Error('this browser cannot record video');
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(t => MediaRecorder.isTypeSupported(t));
+  if (!mimeType) throw new Error('this browser cannot record WebM');
+  const chunks = [];
+  let recorder = null;
+  let track = null;
+  const interval = 1000 / p.fps;
+  await renderTurntable(p, async (frame) => {
+    if (!recorder) {
+      const stream = frame.captureStream(0);
+      [track] = stream.getVideoTracks();
+      recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+      recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+      recorder.start();
+    }
+    track.requestFrame();
+    await new Promise(r => setTimeout(r, interval));
+  });
+  await new Promise(resolve => {
+    recorder.onstop = resolve;
+    recorder.stop();
+  });
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+async function turntablePNGs(p) {
+  const zip = new JSZip();
+  const folder = zip.folder('turntable');
+  const digits = String(p.frames - 1).length;
+  await renderTurntable(p, (frame, i) => {
+    folder.file(`frame-${String(i).padStart(digits, '0')}.png`, dataURLtoBlob(frame.toDataURL('image/png')));
+  });
+  showStatus('Compressing ZIP…');
+  return zip.generateAsync({ type: 'blob' });
+}
+
+const TURNTABLE_FORMATS = {
+  gif: { encode: turntableGIF, filename: 'controller-turntable.gif' },
+  webm: { encode: turntableWebM, filename: 'controller-turntable.webm' },
+  png: { encode: turntablePNGs, filename: 'controller-turntable.zip' },
+};
+
+async function exportTurntable() {
+  if (controllerMeshes.length === 0) {
+    showStatus('No model loaded');
+    return;
+  }
+  const p = readTurntableParams();
+  const format = TURNTABLE_FORMATS[p.format];
+  const button = document.getElementById('btn-turntable');
+  button.disabled = true;
+  try {
+    downloadBlob(await format.encode(p), format.filename);
+    showStatus('Turntable exported');
+  } catch (err) {
+    console.error(err);
+    showStatus('Turntable export failed: ' + err.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+turntableFields.transparent.addEventListener('change', () => {
+  turntableFields.background.disabled = turntableFields.transparent.checked;
+});
+document.getElementById('btn-turntable').addEventListener('click', async () => {
+  if (await confirmPreflight()) exportTurntable();
+});
+
+// ═══════════════════════════════════════════════
+// RUNTIME MODEL LOADING
+// ═══════════════════════════════════════════════
+// A .glb, a .gltf dropped together with its .bin and textures, or a ZIP of
+// the whole model folder. Sibling files are served to GLTFLoader as blob URLs.
+const MODEL_FILE_RE = /\.(gltf|glb)$/i;
+const modelInput = document.getElementById('model-input');
+
+function loadModelFiles(files) {
+  const blobs = new Map();
+  files.forEach(f => blobs.set(f.webkitRelativePath || f.name, f));
+  loadModelFromBlobs(blobs);
+}
+
+async function loadModelZip(zip, zipName) {
+  const blobs = new Map();
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+  for (const entry of entries) {
+    blobs.set(entry.name, await entry.async('blob'));
+  }
+  if (![...blobs.keys()].some(k => MODEL_FILE_RE.test(k))) {
+    showStatus(`No .gltf or .glb found in ${zipName}`);
+    return;
+  }
+  loadModelFromBlobs(blobs);
+}
+
+async function loadModelFromBlobs(blobs) {
+  const mainPath = [...blobs.keys()].find(k => MODEL_FILE_RE.test(k));
+  const mainDir = mainPath.includes('/') ? mainPath.slice(0, mainPath.lastIndexOf('/') + 1) : '';
+  const urls = new Map();
+  blobs.forEach((blob, path) => urls.set(path, URL.createObjectURL(blob)));
+  const revokeAll = () => urls.forEach(url => URL.revokeObjectURL(url));
+
+  // Resolve the relative URIs inside the glTF against the dropped files,
+  // falling back to a bare file-name match for flattened drops
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((url) => {
+    if (/^(blob|data):/.test(url)) return url;
+    const rel = decodeURIComponent(url).replace(/^(\.\/)+/, '');
+    const base = rel.split('/').pop();
+    if (urls.has(mainDir + rel)) return urls.get(mainDir + rel);
+    if (urls.has(rel)) return urls.get(rel);
+    for (const [path, blobUrl] of urls) {
+      if (path.split('/').pop() === base) return blobUrl;
+    }
+    return url;
+  });
+
+  showStatus('Loading model…');
+  try {
+    const data = await blobs.get(mainPath).arrayBuffer();
+    const gltf = await new GLTFLoader(manager).parseAsync(data, '');
+    await profilesReady;
+    setupModel(gltf, mainPath.split('/').pop());
+    const dropped = reprojectDecals();
+    // Old snapshots point at meshes of the previous model
+    historyUndo = [];
+    historyRedo = [];
+    showStatus(dropped > 0
+      ? `Model loaded — ${dropped} decal(s) did not fit and were removed`
+      : 'Model loaded — profile: ' + activeProfile.name);
+    startSession();
+  } catch (err) {
+    console.error(err);
+    showStatus('Failed to load model: ' + err.message);
+  } finally {
+    // parseAsync resolves after buffers and textures are loaded
+    revokeAll();
+  }
+}
+
+// Snap existing decals onto the new model's surface along their normals.
+// Decals whose projection misses the new model are removed.
+function reprojectDecals() {
+  const kept = [];
+  let dropped = 0;
+  decals.forEach(d => {
+    if (!snapDecalToSurface(d)) {
+      scene.remove(d.mesh);
+      d.mesh.geometry.dispose();
+      d.mesh.material.dispose();
+      dropped++;
+      return;
+    }
+    rebuildDecal(d);
+    kept.push(d);
+  });
+  decals = kept;
+  if (selectedDecal && !decals.includes(selectedDecal)) selectedDecal = null;
+  refreshLayersPanel();
+  return dropped;
+}
+
+document.getElementById('btn-model').addEventListener('click', () => modelInput.click());
+modelInput.addEventListener('change', () => {
+  const files = [...modelInput.files];
+  modelInput.value = '';
+  if (files.length === 1 && /\.zip$/i.test(files[0].name)) {
+    JSZip.loadAsync(files[0]).then(zip => loadModelZip(zip, files[0].name))
+      .catch(err => showStatus('Could not read ZIP: ' + err.message));
+  } else if (files.some(f => MODEL_FILE_RE.test(f.name))) {
+    loadModelFiles(files);
+  } else {
+    showStatus('Select a .glb/.gltf (with its .bin and textures) or a ZIP');
+  }
+});
+
+// ═══════════════════════════════════════════════
+// COLOR PALETTES
+// ═══════════════════════════════════════════════
+// Swatches apply to the section picked in "Apply to" (focusing a section's
+// color input picks it too). Global palettes and recent colors live in
+// localStorage; project palettes travel with the project.
+const PALETTES_KEY = '3dricer-palettes';
+const RECENT_COLORS_KEY = '3dricer-recent-colors';
+const RECENT_COLORS_MAX = 12;
+// Hue offsets (degrees) from the base color
+const HARMONIES = {
+  complementary: [0, 180],
+  triadic: [0, 120, 240],
+  analogous: [-30, 0, 30],
+};
+const paletteTargetSelect = document.getElementById('palette-target');
+const recentColorsEl = document.getElementById('recent-colors');
+const harmonyBase = document.getElementById('harmony-base');
+const harmonyMode = document.getElementById('harmony-mode');
+const harmonySwatches = document.getElementById('harmony-swatches');
+const paletteList = document.getElementById('palette-list');
+const presetSelect = document.getElementById('preset-select');
+const lockedSections = new Set(); // labels whole-controller coloring leaves alone
+let globalPalettes = readStoredList(PALETTES_KEY);
+let projectPalettes = [];
+let recentColors = readStoredList(RECENT_COLORS_KEY);
+let eyedropperActive = false;
+
+function readStoredList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function refreshPaletteTargets() {
+  const previous = paletteTargetSelect.value;
+  paletteTargetSelect.innerHTML = '';
+  Object.keys(sectionMeshMap).forEach(label => {
+    const opt = document.createElement('option');
+    opt.value = label;
+    opt.textContent = label;
+    paletteTargetSelect.appendChild(opt);
+  });
+  if (previous in sectionMeshMap) paletteTargetSelect.value = previous;
+}
+
+function rememberColor(hex) {
+  recentColors = [hex, ...recentColors.filter(c => c !== hex)].slice(0, RECENT_COLORS_MAX);
+  localStorage.setItem(RECENT_COLORS_KEY, JSON.stringify(recentColors));
+  renderSwatches(recentColorsEl, recentColors);
+}
+
+function applySectionColor(label, hex) {
+  if (!sectionMeshMap[label]) {
+    showStatus('Pick a section to apply colors to');
+    return;
+  }
+  if (sectionSettings[label]?.fill) {
+    showStatus(`Remove the fill on ${label} to color it`);
+    return;
+  }
+  recordHistory();
+  setSectionSettings(label, { color: hex, original: false });
+  rememberColor(hex);
+}
+
+// Colors the unlocked sections in profile order, repeating the colors if
+// there are more sections than colors. Filled sections keep their fill.
+function colorSections(colors) {
+  if (colors.length === 0) return;
+  recordHistory();
+  unlockedSections().filter(label => !sectionSettings[label]?.fill).forEach((label, i) => {
+    setSectionSettings(label, { color: colors[i % colors.length], original: false });
+  });
+  [...colors].reverse().forEach(rememberColor);
+}
+
+function renderSwatches(container, colors) {
+  container.innerHTML = '';
+  colors.forEach(hex => {
+    const swatch = document.createElement('button');
+    swatch.className = 'swatch';
+    swatch.style.background = hex;
+    swatch.title = hex;
+    swatch.addEventListener('click', () => applySectionColor(paletteTargetSelect.value, hex));
+    container.appendChild(swatch);
+  });
+}
+
+// ─── Harmonies ───
+function shiftColor(hex, degrees, lightness = 0) {
+  const hsl = new THREE.Color(hex).getHSL({}, THREE.SRGBColorSpace);
+  const h = (((hsl.h + degrees / 360) % 1) + 1) % 1;
+  const l = THREE.MathUtils.clamp(hsl.l + lightness, 0, 1);
+  return '#' + new THREE.Color().setHSL(h, hsl.s, l, THREE.SRGBColorSpace).getHexString();
+}
+
+// The harmony's hues, then a darker shade of each for the remaining sections
+function harmonyColors(base, mode) {
+  const hues = HARMONIES[mode].map(deg => shiftColor(base, deg));
+  return [...hues, ...hues.map(hex => shiftColor(hex, 0, -0.25))];
+}
+
+function refreshHarmony() {
+  renderSwatches(harmonySwatches, harmonyColors(harmonyBase.value, harmonyMode.value));
+}
+
+// ─── Colorway presets ───
+// Whole-controller schemes from the profile's `presets`. A preset entry is a
+// hex color or { color, finish }; sections it doesn't list are left as they are.
+function unlockedSections() {
+  return Object.keys(sectionMeshMap).filter(label => !lockedSections.has(label));
+}
+
+function refreshPresets() {
+  const presets = activeProfile?.presets || [];
+  presetSelect.innerHTML = '';
+  presets.forEach((preset, i) => {
+    const opt = document.createElement('option');
+    opt.value = i;
+    opt.textContent = preset.name;
+    presetSelect.appendChild(opt);
+  });
+  if (presets.length === 0) {
+    const opt = document.createElement('option');
+    opt.textContent = 'None for this profile';
+    presetSelect.appendChild(opt);
+  }
+  presetSelect.disabled = presets.length === 0;
+  document.getElementById('btn-preset').disabled = presets.length === 0;
+}
+
+function applyPreset(preset) {
+  recordHistory();
+  unlockedSections().forEach(label => {
+    const entry = preset.sections[label];
+    if (!entry) return;
+    const changes = typeof entry === 'string' ? { color: entry } : entry;
+    setSectionSettings(label, { ...defaultSectionSettings(), ...changes, original: false });
+  });
+  showStatus('Colorway: ' + preset.name);
+}
+
+// ─── Randomizer ───
+const RANDOM_MIN_CONTRAST = 3; // WCAG minimum for UI components
+
+// THREE.Color holds linear RGB, which is what relative luminance is defined on
+function relativeLuminance(hex) {
+  const c = new THREE.Color(hex);
+  return 0.2126 * c.r + 0.7152 * c.g + 0.0722 * c.b;
+}
+
+function contrastRatio(a, b) {
+  const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+function hslHex(h, s, l) {
+  return '#' + new THREE.Color().setHSL(h, s, l, THREE.SRGBColorSpace).getHexString();
+}
+
+// A harmony around a random mid-tone hue, plus near-black and near-white
+// neutrals tinted toward it
+function randomScheme() {
+  const modes = Object.keys(HARMONIES);
+  const mode = modes[Math.floor(Math.random() * modes.length)];
+  const hue = Math.random();
+  const base = hslHex(hue, 0.45 + Math.random() * 0.4, 0.35 + Math.random() * 0.25);
+  return {
+    mode,
+    accents: harmonyColors(base, mode),
+    neutrals: [hslHex(hue, 0.08, 0.1), hslHex(hue, 0.08, 0.93)],
+  };
+}
+
+// Sections with `contrastWith` in the profile (buttons, logo) are swapped for
+// the scheme color that stands out most against that section when needed
+function randomizeSections() {
+  const labels = unlockedSections();
+  if (labels.length === 0) {
+    showStatus('Every section is locked');
+    return;
+  }
+  const { mode, accents, neutrals } = randomScheme();
+  const colors = {};
+  labels.forEach(label => {
+    const pool = Math.random() < 0.4 ? neutrals : accents;
+    colors[label] = pool[Math.floor(Math.random() * pool.length)];
+  });
+  if (document.getElementById('random-contrast').checked) {
+    activeProfile.sections.forEach(({ name, contrastWith }) => {
+      if (!contrastWith || !(name in colors)) return;
+      const current = sectionSettings[contrastWith];
+      const base = colors[contrastWith] ?? (current && !current.original ? current.color : null);
+      if (!base || contrastRatio(colors[name], base) >= RANDOM_MIN_CONTRAST) return;
+      colors[name] = [...accents, ...neutrals].reduce((best, c) => (contrastRatio(c, base) > contrastRatio(best, base) ? c : best));
+    });
+  }
+  recordHistory();
+  for (const [label, color] of Object.entries(colors)) {
+    setSectionSettings(label, { color, original: false, fill: null });
+  }
+  showStatus(`Randomized (${mode})`);
+}
+
+// ─── Saved palettes ───
+function savePalette() {
+  const colors = [...new Set(Object.values(sectionSettings).filter(st => !st.original).map(st => st.color))];
+  if (colors.length === 0) {
+    showStatus('Color some sections first');
+    return;
+  }
+  const name = prompt('Palette name', `Palette ${globalPalettes.length + projectPalettes.length + 1}`)?.trim();
+  if (!name) return;
+  if (document.getElementById('palette-scope').value === 'global') {
+    globalPalettes.push({ name, colors });
+    localStorage.setItem(PALETTES_KEY, JSON.stringify(globalPalettes));
+  } else {
+    projectPalettes.push({ name, colors });
+    scheduleAutosave();
+  }
+  refreshPalettes();
+  showStatus(`Saved palette "${name}"`);
+}
+
+function paletteItem(palette, list, global) {
+  const item = document.createElement('div');
+  item.className = 'palette-item';
+
+  const header = document.createElement('div');
+  header.className = 'palette-header';
+  const name = document.createElement('span');
+  name.className = 'palette-name';
+  name.textContent = palette.name;
+  name.title = global ? 'Available in all designs' : 'Saved with this design';
+  if (global) name.textContent += ' \u2605';
+  const apply = document.createElement('button');
+  apply.textContent = 'Apply';
+  apply.title = 'Color the whole controller with this palette';
+  apply.addEventListener('click', () => colorSections(palette.colors));
+  const del = document.createElement('button');
+  del.textContent = '\u2715';
+  del.title = 'Delete palette';
+  del.addEventListener('click', () => {
+    list.splice(list.indexOf(palette), 1);
+    if (global) localStorage.setItem(PALETTES_KEY, JSON.stringify(globalPalettes));
+    else scheduleAutosave();
+    refreshPalettes();
+  });
+  header.append(name, apply, del);
+  item.appendChild(header);
+
+  const swatches = document.createElement('div');
+  swatches.className = 'swatches';
+  renderSwatches(swatches, palette.colors);
+  item.appendChild(swatches);
+  return item;
+}
+
+function refreshPalettes() {
+  paletteList.innerHTML = '';
+  projectPalettes.forEach(p => paletteList.appendChild(paletteItem(p, projectPalettes, false)));
+  globalPalettes.forEach(p => paletteList.appendChild(paletteItem(p, globalPalettes, true)));
+}
+
+// ─── Eyedropper ───
+// The next click on the viewport samples a color: the texel of a decal
+// image if one is under the pointer, otherwise the lit viewport pixel
+function setEyedropper(on) {
+  eyedropperActive = on;
+  controls.enabled = !on;
+  canvas.classList.toggle('eyedropper', on);
+  document.getElementById('btn-eyedropper').classList.toggle('active', on);
+  if (on) showStatus('Click a decal or the model to pick a color (Esc to cancel)');
+}
+
+function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+function sampleColorAt(e) {
+  getMouseNDC(e);
+  raycaster.setFromCamera(mouse, camera);
+  const visibleDecals = decals.filter(d => d.visible !== false);
+  const hit = raycaster.intersectObjects([...controllerMeshes, ...visibleDecals.map(d => d.mesh)], false)[0];
+  const decal = hit && visibleDecals.find(d => d.mesh === hit.object);
+  if (decal && hit.uv) {
+    // Decal UVs run bottom-up over the unflipped image
+    const img = decal.texture.image;
+    const u = decal.flipH ? 1 - hit.uv.x : hit.uv.x;
+    const v = decal.flipV ? 1 - hit.uv.y : hit.uv.y;
+    const x = THREE.MathUtils.clamp(Math.floor(u * img.width), 0, img.width - 1);
+    const y = THREE.MathUtils.clamp(Math.floor((1 - v) * img.height), 0, img.height - 1);
+    const [r, g, b, a] = img.getContext('2d').getImageData(x, y, 1, 1).data;
+    if (a > 0) return rgbToHex(r, g, b);
+  }
+  // The drawing buffer is only readable in the task that rendered it
+  renderer.render(scene, camera);
+  const probe = document.createElement('canvas');
+  probe.width = probe.height = 1;
+  const ctx = probe.getContext('2d');
+  const scale = canvas.width / canvas.clientWidth;
+  ctx.drawImage(canvas, Math.floor(e.clientX * scale), Math.floor(e.clientY * scale), 1, 1, 0, 0, 1, 1);
+  const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+  return rgbToHex(r, g, b);
+}
+
+function pickColor(e) {
+  setEyedropper(false);
+  const hex = sampleColorAt(e);
+  harmonyBase.value = hex;
+  refreshHarmony();
+  applySectionColor(paletteTargetSelect.value, hex);
+  showStatus(`Picked ${hex} for ${paletteTargetSelect.value}`);
+}
+
+document.getElementById('btn-eyedropper').addEventListener('click', () => setEyedropper(!eyedropperActive));
+document.addEventListener('keydown', (e) => {
+  if (eyedropperActive && e.key === 'Escape') {
+    setEyedropper(false);
+    showStatus('Eyedropper cancelled');
+  }
+});
+harmonyBase.addEventListener('input', refreshHarmony);
+harmonyMode.addEventListener('change', refreshHarmony);
+document.getElementById('btn-harmony').addEventListener('click', () => {
+  colorSections(harmonyColors(harmonyBase.value, harmonyMode.value));
+  showStatus(`Applied ${harmonyMode.value} colors`);
+});
+document.getElementById('btn-palette-save').addEventListener('click', savePalette);
+document.getElementById('btn-preset').addEventListener('click', () => {
+  const preset = activeProfile?.presets?.[presetSelect.value];
+  if (preset) applyPreset(preset);
+});
+document.getElementById('btn-randomize').addEventListener('click', randomizeSections);
+renderSwatches(recentColorsEl, recentColors);
+refreshHarmony();
+refreshPalettes();
+
+// ═══════════════════════════════════════════════
+// COLORWAY VARIANTS
+// ═══════════════════════════════════════════════
+// Named variants of one design, each with its own section settings and set
+// of hidden decals. The active variant lives in sectionSettings and the
+// decals themselves; its entry here is refreshed whenever it's read.
+const COMPARE_MAX = 4;
+const COMPARE_TILE = 768; // px width of each variant in the comparison
+const COMPARE_LABEL_HEIGHT = 40;
+const variantList = document.getElementById('variant-list');
+const comparePicks = document.getElementById('compare-picks');
+const compareCanvas = document.getElementById('compare-canvas');
+let variants = [{ name: 'Default', sections: {}, hidden: [] }];
+let activeVariant = 0;
+let compareRenderer = null; // one offscreen renderer while the comparison is open
+
+function captureVariant() {
+  Object.assign(variants[activeVariant], {
+    sections: structuredClone(sectionSettings),
+    hidden: decals.filter(d => d.visible === false).map(d => d.id),
+  });
+}
+
+function snapshotVariants() {
+  captureVariant();
+  return structuredClone(variants);
+}
+
+// Show a variant's colors and decal visibility (no history, no panels)
+function applyVariant(v) {
+  for (const [label, st] of Object.entries(v.sections)) {
+    if (JSON.stringify(sectionSettings[label]) !== JSON.stringify(st)) setSectionSettings(label, st);
+  }
+  const hidden = new Set(v.hidden);
+  decals.forEach(d => {
+    d.visible = !hidden.has(d.id);
+    d.mesh.visible = d.visible;
+  });
+}
+
+function switchVariant(index) {
+  if (index === activeVariant || !variants[index]) return;
+  recordHistory();
+  captureVariant();
+  activeVariant = index;
+  applyVariant(variants[index]);
+  refreshLayersPanel();
+  refreshVariantList();
+  showStatus('Variant: ' + variants[index].name);
+}
+
+// New variants start as a copy of the current one
+function addVariant() {
+  const name = prompt('Variant name', `Variant ${variants.length + 1}`)?.trim();
+  if (!name) return;
+  recordHistory();
+  captureVariant();
+  variants.push({ ...structuredClone(variants[activeVariant]), name });
+  activeVariant = variants.length - 1;
+  refreshVariantList();
+  showStatus(`Added variant "${name}"`);
+}
+
+function renameVariant(index) {
+  const v = variants[index];
+  const name = prompt('Variant name', v.name)?.trim();
+  if (!name || name === v.name) return;
+  recordHistory();
+  v.name = name;
+  refreshVariantList();
+}
+
+function deleteVariant(index) {
+  if (variants.length < 2) return;
+  recordHistory();
+  captureVariant();
+  const removingActive = index === activeVariant;
+  variants.splice(index, 1);
+  if (index < activeVariant || activeVariant >= variants.length) activeVariant--;
+  if (removingActive) {
+    applyVariant(variants[activeVariant]);
+    refreshLayersPanel();
+  }
+  refreshVariantList();
+}
+
+function setVariants(list, active) {
+  variants = list?.length ? structuredClone(list) : [{ name: 'Default', sections: {}, hidden: [] }];
+  activeVariant = Math.min(Math.max(0, active || 0), variants.length - 1);
+  refreshVariantList();
+}
+
+function refreshVariantList() {
+  variantList.innerHTML = '';
+  variants.forEach((v, i) => {
+    const chip = document.createElement('div');
+    chip.className = 'variant-chip' + (i === activeVariant ? ' active' : '');
+    chip.title = 'Switch to this variant (double-click to rename)';
+    chip.addEventListener('click', () => switchVariant(i));
+    chip.addEventListener('dblclick', () => renameVariant(i));
+
+    const name = document.createElement('span');
+    name.textContent = v.name;
+    chip.appendChild(name);
+
+    if (variants.length > 1) {
+      const del = document.createElement('button');
+      del.textContent = '\u2715';
+      del.title = 'Delete variant';
+      del.addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteVariant(i);
+      });
+      chip.appendChild(del);
+    }
+    variantList.appendChild(chip);
+  });
+}
+
+// ─── Comparison ───
+// Renders the picked variants from the current camera into one grid
+function renderComparison(indices) {
+  captureVariant();
+  const cols = indices.length === 4 ? 2 : indices.length;
+  const rows = Math.ceil(indices.length / cols);
+  const tileW = COMPARE_TILE;
+  const tileH = Math.round(COMPARE_TILE * canvas.clientHeight / canvas.clientWidth);
+  compareCanvas.width = cols * tileW;
+  compareCanvas.height = rows * (tileH + COMPARE_LABEL_HEIGHT);
+  const ctx = compareCanvas.getContext('2d');
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, compareCanvas.width, compareCanvas.height);
+  ctx.fillStyle = '#eee';
+  ctx.font = '600 20px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  try {
+    indices.forEach((vi, n) => {
+      applyVariant(variants[vi]);
+      const x = (n % cols) * tileW;
+      const y = Math.floor(n / cols) * (tileH + COMPARE_LABEL_HEIGHT);
+      ctx.drawImage(renderTiled(compareRenderer, camera.clone(), tileW, tileH, 2), x, y + COMPARE_LABEL_HEIGHT);
+      ctx.fillText(variants[vi].name, x + tileW / 2, y + COMPARE_LABEL_HEIGHT / 2);
+    });
+  } finally {
+    applyVariant(variants[activeVariant]);
+  }
+}
+
+function pickedVariants() {
+  return [...comparePicks.querySelectorAll('input:checked')].map(box => Number(box.value));
+}
+
+function refreshComparison() {
+  const picked = pickedVariants();
+  // At most four; the rest lock once that many are ticked
+  comparePicks.querySelectorAll('input').forEach(box => {
+    box.disabled = !box.checked && picked.length >= COMPARE_MAX;
+  });
+  document.getElementById('compare-download').disabled = picked.length < 2;
+  if (picked.length >= 2) renderComparison(picked);
+  compareCanvas.classList.toggle('hidden', picked.length < 2);
+}
+
+function openComparison() {
+  if (variants.length < 2) {
+    showStatus('Add a second variant to compare');
+    return;
+  }
+  comparePicks.innerHTML = '';
+  variants.forEach((v, i) => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = i;
+    box.checked = i < COMPARE_MAX;
+    box.addEventListener('change', refreshComparison);
+    label.append(box, ' ' + v.name);
+    comparePicks.appendChild(label);
+  });
+  // Browsers cap live WebGL contexts and drop the oldest (the viewport's),
+  // so re-renders share one context that is released on close
+  compareRenderer = new THREE.WebGLRenderer({ alpha: true, antialias: true, preserveDrawingBuffer: true });
+  compareRenderer.toneMapping = renderer.toneMapping;
+  compareRenderer.toneMappingExposure = renderer.toneMappingExposure;
+  compareRenderer.setClearColor(0x000000, 0);
+  compareOverlay.classList.remove('hidden');
+  refreshComparison();
+}
+
+function closeComparison() {
+  compareOverlay.classList.add('hidden');
+  if (!compareRenderer) return;
+  compareRenderer.dispose();
+  compareRenderer.forceContextLoss();
+  compareRenderer = null;
+}
+
+document.getElementById('btn-variant-add').addEventListener('click', addVariant);
+document.getElementById('btn-compare').addEventListener('click', openComparison);
+document.getElementById('compare-download').addEventListener('click', async () => {
+  downloadBlob(await canvasToBlob(compareCanvas), 'controller-variants.png');
+  showStatus('Comparison downloaded');
+});
+document.getElementById('compare-close').addEventListener('click', closeComparison);
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && !compareOverlay.classList.contains('hidden')) closeComparison();
+});
+refreshVariantList();
+
+// ═══════════════════════════════════════════════
+// PROJECT SAVE / LOAD
+// ═══════════════════════════════════════════════
+// A project is a ZIP (.3dricer) holding project.json plus one PNG per decal.
+// A bare .json with the images inlined as data URLs is accepted too.
+const PROJECT_FORMAT = '3dricer-project';
+const PROJECT_VERSION = 2; // 2: sections became { color, original, finish } objects
+const projectInput = document.getElementById('project-input');
+
+function isProjectFile(file) {
+  return /\.(3dricer|zip|json)$/i.test(file.name);
+}
+
+// Plain, JSON-safe copy of everything needed to rebuild a decal (minus its image)
+function decalProps(d) {
+  return {
+    position: d.position.toArray(),
+    normal: d.normal.toArray(),
+    mesh: Math.max(0, controllerMeshes.indexOf(d.hit?.object)),
+    size: d.size,
+    rotation: d.rotation,
+    flipH: d.flipH,
+    flipV: d.flipV,
+    aspect: d.aspect,
+    layer: d.layer || 0,
+    visible: d.visible !== false,
+    opacity: d.opacity ?? 1,
+    blend: d.blend || 'normal',
+    finish: d.finish || 'standard',
+    ...(d.tint && { tint: d.tint }),
+    ...(d.text && { text: d.text }),
+    id: d.id,
+    ...(d.twinId && { twinId: d.twinId }),
+    ...(d.groupId && { groupId: d.groupId }),
+  };
+}
+
+function applyDecalProps(d, p) {
+  d.position = new THREE.Vector3().fromArray(p.position);
+  d.normal = new THREE.Vector3().fromArray(p.normal);
+  d.hit = { object: controllerMeshes[p.mesh] || controllerMeshes[0], point: d.position.clone() };
+  d.size = p.size;
+  d.rotation = p.rotation || 0;
+  d.flipH = !!p.flipH;
+  d.flipV = !!p.flipV;
+  d.aspect = p.aspect || 1;
+  d.layer = p.layer || 0;
+  d.visible = p.visible !== false;
+  d.opacity = p.opacity ?? 1;
+  d.blend = p.blend || 'normal';
+  d.finish = p.finish || 'standard';
+  d.tint = p.tint || null;
+  d.text = p.text || null;
+  d.id = p.id ?? nextDecalId++;
+  nextDecalId = Math.max(nextDecalId, d.id + 1);
+  d.twinId = p.twinId || null;
+  d.groupId = p.groupId || null;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not decode image'));
+    img.src = src;
+  });
+}
+
+// Decal textures are always canvas-backed so they can be re-encoded on save
+function textureFromImage(img) {
+  const c = document.createElement('canvas');
+  c.width = img.width;
+  c.height = img.height;
+  c.getContext('2d').drawImage(img, 0, 0);
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  return tex;
+}
+
+function decalImageDataURL(d) {
+  return d.texture.image.toDataURL('image/png');
+}
+
+function serializeProject() {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    model: modelName,
+    profile: activeProfile?.id || 'auto',
+    camera: {
+      position: camera.position.toArray(),
+      target: controls.target.toArray(),
+    },
+    lights: lightsOn,
+    sections: structuredClone(sectionSettings),
+    decals: decals.map(d => decalProps(d)),
+    groups: [...decalGroups].map(([id, g]) => ({ id, name: g.name })),
+    variants: snapshotVariants(),
+    activeVariant,
+    palettes: structuredClone(projectPalettes),
+    fonts: [...customFonts.keys()].map(family => ({ family })),
+    fills: [...fillImages.keys()].map(id => ({ id })),
+  };
+}
+
+async function saveProject() {
+  try {
+    const project = serializeProject();
+    const zip = new JSZip();
+    decals.forEach((d, i) => {
+      const file = `decals/decal-${i + 1}.png`;
+      project.decals[i].image = file;
+      zip.file(file, dataURLtoBlob(decalImageDataURL(d)));
+      if (d.svg) {
+        const { source, ...rest } = d.svg;
+        project.decals[i].svg = { ...rest, file: `decals/decal-${i + 1}.svg` };
+        zip.file(project.decals[i].svg.file, source);
+      }
+    });
+    // Uploaded fonts travel with the project so text decals stay editable
+    project.fonts.forEach(f => {
+      const font = customFonts.get(f.family);
+      if (!font) throw new Error(`font ${f.family} is no longer loaded`);
+      const { data, ext } = font;
+      f.file = `fonts/${f.family}.${ext}`;
+      zip.file(f.file, data);
+    });
+    project.fills.forEach(f => {
+      f.image = `fills/${f.id}.png`;
+      zip.file(f.image, dataURLtoBlob(fillImages.get(f.id).texture.image.toDataURL('image/png')));
+    });
+    zip.file('project.json', JSON.stringify(project, null, 2));
+    showStatus('Saving project…');
+    const blob = await zip.generateAsync({ type: 'blob' });
+    downloadBlob(blob, 'controller-design.3dricer');
+    showStatus('Project saved');
+  } catch (err) {
+    console.error(err);
+    showStatus('Failed to save project: ' + err.message);
+  }
+}
+
+async function readProjectFile(file) {
+  if (/\.json$/i.test(file.name)) {
+    return { project: JSON.parse(await file.text()), zip: null };
+  }
+  const zip = await JSZip.loadAsync(file);
+  const entry = zip.file('project.json');
+  if (!entry) throw new Error('project.json missing from archive');
+  return { project: JSON.parse(await entry.async('string')), zip };
+}
+
+async function resolveDecalImage(ref, zip) {
+  if (ref.startsWith('data:')) return loadImage(ref);
+  const entry = zip?.file(ref);
+  if (!entry) throw new Error(`Missing decal image ${ref}`);
+  return loadImage('data:image/png;base64,' + await entry.async('base64'));
+}
+
+async function applyProject(project, zip) {
+  if (project.format !== PROJECT_FORMAT) throw new Error('Not a 3DRicer project');
+  if (project.version > PROJECT_VERSION) throw new Error(`Project version ${project.version} is newer than this app supports`);
+
+  // Decode every image before touching the scene so a bad file leaves it intact
+  const images = await Promise.all((project.decals || []).map(p => resolveDecalImage(p.image, zip)));
+  const svgs = await Promise.all((project.decals || []).map(async p => {
+    if (!p.svg) return null;
+    const { file, source, ...rest } = p.svg;
+    return { ...rest, source: source || await zip.file(file).async('string') };
+  }));
+
+  for (const f of project.fonts || []) {
+    if (customFonts.has(f.family)) continue;
+    try {
+      const inline = f.file.startsWith('data:');
+      const data = inline
+        ? await (await fetch(f.file)).arrayBuffer()
+        : await zip.file(f.file).async('arraybuffer');
+      await registerFont(f.family, data, inline ? 'ttf' : f.file.split('.').pop().toLowerCase());
+    } catch (err) {
+      console.warn('Could not restore font', f.family, err);
+    }
+  }
+
+  for (const f of project.fills || []) {
+    try {
+      const img = await resolveDecalImage(f.image, zip);
+      await registerFillImage(img.src, f.id);
+    } catch (err) {
+      console.warn('Could not restore fill image', f.id, err);
+    }
+  }
+
+  // Switching profiles resets history, so the undo step for the load is
+  // recorded against the project's profile
+  const profile = project.profile && profileById(project.profile);
+  if (profile && profile !== activeProfile) switchProfile(profile);
+  recordHistory();
+
+  decals.forEach(d => {
+    scene.remove(d.mesh);
+    d.mesh.geometry.dispose();
+    d.mesh.material.dispose();
+  });
+  decals = [];
+  selectedDecal = null;
+  decalGroups = new Map((project.groups || []).map(g => [g.id, { name: g.name, collapsed: false }]));
+  for (const id of decalGroups.keys()) {
+    nextGroupId = Math.max(nextGroupId, (parseInt(id.slice(1), 10) || 0) + 1);
+  }
+
+  // Sections the project doesn't mention start from the profile, not from
+  // whatever the previous design left on them
+  for (const label of Object.keys(sectionMeshMap)) {
+    const value = project.sections?.[label];
+    setSectionSettings(label, value !== undefined
+      ? normalizeSectionSettings(value)
+      : profileSectionDefaults(activeProfile?.sections.find(s => s.name === label)));
+  }
+
+  (project.decals || []).forEach((p, i) => {
+    const decal = {
+      mesh: null,
+      texture: textureFromImage(images[i]),
+      thumbnail: images[i].src,
+      svg: svgs[i],
+    };
+    applyDecalProps(decal, p);
+    rebuildDecal(decal);
+    decals.push(decal);
+  });
+
+  if (project.camera) {
+    camera.position.fromArray(project.camera.position);
+    controls.target.fromArray(project.camera.target);
+    controls.update();
+  }
+  if (typeof project.lights === 'boolean') setLights(project.lights);
+  setVariants(project.variants, project.activeVariant);
+  captureVariant();
+  projectPalettes = structuredClone(project.palettes || []);
+  refreshPalettes();
+  refreshLayersPanel();
+}
+
+async function loadProjectFile(file) {
+  if (controllerMeshes.length === 0) {
+    showStatus('Wait for the model to load first');
+    return;
+  }
+  try {
+    showStatus('Loading project…');
+    const { project, zip } = await readProjectFile(file);
+    await applyProject(project, zip);
+    if (project.model && project.model !== modelName) {
+      showStatus('Project loaded (made with a different model)');
+    } else {
+      showStatus('Project loaded');
+    }
+  } catch (err) {
+    console.error(err);
+    showStatus('Failed to load project: ' + err.message);
+  }
+}
+
+document.getElementById('btn-save').addEventListener('click', saveProject);
+document.getElementById('btn-open').addEventListener('click', () => projectInput.click());
+projectInput.addEventListener('change', () => {
+  if (projectInput.files[0]) loadProjectFile(projectInput.files[0]);
+  projectInput.value = '';
+});
+
+
+// ═══════════════════════════════════════════════
+// AUTOSAVE & DESIGN GALLERY
+// ═══════════════════════════════════════════════
+// Designs live in IndexedDB: project records in `designs`, and the decal and
+// fill images and fonts they reference as blobs in `assets`, keyed by a hash
+// of their content. Each texture is encoded once, so autosaving after an edit
+// only writes the project JSON.
+const DESIGN_DB = '3dricer';
+const AUTOSAVE_ID = 'autosave'; // the gallery lists every other record
+const AUTOSAVE_DELAY_MS = 1500;
+const THUMBNAIL_SIZE = 160;
+const galleryList = document.getElementById('gallery-list');
+const galleryEmpty = document.getElementById('gallery-empty');
+const storedAssets = new WeakMap(); // texture / font data -> asset key in IndexedDB
+let designDb = null;
+let designName = '';       // gallery name of the current design, if any
+let autosaveEnabled = false; // held off until the restore prompt is answered
+let sessionStarted = false;
+let autosaveTimer = null;
+let autosaving = false;
+
+function openDesignDb() {
+  designDb ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DESIGN_DB, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('designs', { keyPath: 'id' });
+      req.result.createObjectStore('assets');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return designDb;
+}
+
+// fn queues its requests synchronously; resolves with its result (or that
+// request's result) once the transaction commits
+async function dbTransaction(stores, mode, fn) {
+  const db = await openDesignDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    const out = fn(tx);
+    tx.oncomplete = () => resolve(out instanceof IDBRequest ? out.result : out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function contentHash(blob) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+  return [...digest.subarray(0, 16)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function designAssetKeys(project) {
+  return [
+    ...(project.decals || []).map(p => p.image),
+    ...(project.fonts || []).map(f => f.file),
+    ...(project.fills || []).map(f => f.image),
+  ];
+}
+
+// Project whose image and font paths are asset keys, the decals it lists,
+// and the assets that are not in the database yet
+async function serializeDesign() {
+  // The decals as they were serialized; edits during the awaits below must
+  // not shift images onto other entries
+  const project = serializeProject();
+  const list = [...decals];
+  const pending = new Map(); // key -> { owner, blob }
+  const keyFor = async (owner, ext, encode) => {
+    let key = storedAssets.get(owner);
+    if (!key) {
+      const blob = await encode();
+      key = `${await contentHash(blob)}.${ext}`;
+      pending.set(key, { owner, blob });
+    }
+    return key;
+  };
+  for (const [i, d] of list.entries()) {
+    project.decals[i].image = await keyFor(d.texture, 'png', () => canvasToBlob(d.texture.image));
+    if (d.svg) project.decals[i].svg = { ...d.svg };
+  }
+  for (const f of project.fonts) {
+    const { data, ext } = customFonts.get(f.family);
+    f.file = await keyFor(data, ext, () => new Blob([data]));
+  }
+  for (const f of project.fills) {
+    const { texture } = fillImages.get(f.id);
+    f.image = await keyFor(texture, 'png', () => canvasToBlob(texture.image));
+  }
+  return { project, pending, list };
+}
+
+// Textures rebuilt from a stored design map back to the assets they came
+// from. Inlined data URLs (from share links) still need storing.
+function rememberAssets(project) {
+  const remember = (owner, key) => {
+    if (owner && key && !key.startsWith('data:')) storedAssets.set(owner, key);
+  };
+  (project.decals || []).forEach((p, i) => remember(decals[i].texture, p.image));
+  (project.fonts || []).forEach(f => remember(customFonts.get(f.family)?.data, f.file));
+  (project.fills || []).forEach(f => remember(fillImages.get(f.id)?.texture, f.image));
+}
+
+function putAssets(tx, pending) {
+  const assets = tx.objectStore('assets');
+  pending.forEach(({ blob }, key) => assets.put(blob, key));
+}
+
+// The slice of the JSZip API applyProject reads, over blobs from IndexedDB
+function assetArchive(assets) {
+  return {
+    file: name => {
+      const blob = assets.get(name);
+      if (!blob) return null;
+      return {
+        async: type => type === 'string' ? blob.text()
+          : type === 'arraybuffer' ? blob.arrayBuffer()
+          : readFileAsDataURL(blob).then(url => url.split(',')[1]),
+      };
+    },
+  };
+}
+
+function renderThumbnail() {
+  renderer.render(scene, camera);
+  const src = renderer.domElement;
+  const side = Math.min(src.width, src.height);
+  const c = document.createElement('canvas');
+  c.width = c.height = THUMBNAIL_SIZE;
+  c.getContext('2d').drawImage(src, (src.width - side) / 2, (src.height - side) / 2, side, side,
+    0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+  return c.toDataURL('image/jpeg', 0.8);
+}
+
+async function writeDesign(id, name) {
+  const { project, pending } = await serializeDesign();
+  const record = { id, name, updated: Date.now(), thumbnail: renderThumbnail(), project };
+  await dbTransaction(['designs', 'assets'], 'readwrite', tx => {
+    putAssets(tx, pending);
+    tx.objectStore('designs').put(record);
+  });
+  pending.forEach(({ owner }, key) => storedAssets.set(owner, key));
+  return record;
+}
+
+// Resolves to a Map of the keys found
+function loadAssets(keys) {
+  return dbTransaction('assets', 'readonly', tx => {
+    const store = tx.objectStore('assets');
+    const found = new Map();
+    keys.forEach(key => {
+      const req = store.get(key);
+      req.onsuccess = () => { if (req.result) found.set(key, req.result); };
+    });
+    return found;
+  });
+}
+
+async function openDesign(record) {
+  const assets = await loadAssets(designAssetKeys(record.project));
+  await applyProject(record.project, assetArchive(assets));
+  rememberAssets(record.project);
+  designName = record.name;
+}
+
+// Assets no saved design references any more. Only run at startup, before
+// the scene or its undo history can hold textures keyed to them.
+async function pruneAssets() {
+  const records = await dbTransaction('designs', 'readonly', tx => tx.objectStore('designs').getAll());
+  const used = new Set(records.flatMap(r => designAssetKeys(r.project)));
+  await dbTransaction('assets', 'readwrite', tx => {
+    const store = tx.objectStore('assets');
+    const req = store.getAllKeys();
+    req.onsuccess = () => req.result.filter(key => !used.has(key)).forEach(key => store.delete(key));
+  });
+}
+
+// ─── Autosave ───
+// Called from recordHistory/undo/redo, which every edit goes through
+function scheduleAutosave() {
+  if (!autosaveEnabled) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY_MS);
+}
+
+async function autosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  // A drag keeps editing after its history entry; save once it ends
+  if (autosaving || isDraggingDecal) {
+    scheduleAutosave();
+    return;
+  }
+  autosaving = true;
+  try {
+    await writeDesign(AUTOSAVE_ID, designName);
+  } catch (err) {
+    console.warn('Autosave failed', err);
+  } finally {
+    autosaving = false;
+  }
+}
+
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden' && autosaveTimer) autosave();
+});
+
+function confirmRestore(record) {
+  document.getElementById('restore-thumb').src = record.thumbnail;
+  document.getElementById('restore-time').textContent = new Date(record.updated).toLocaleString();
+  restoreOverlay.classList.remove('hidden');
+  return new Promise(resolve => {
+    const finish = (ok) => {
+      restoreOverlay.classList.add('hidden');
+      confirm.removeEventListener('click', onConfirm);
+      cancel.removeEventListener('click', onCancel);
+      resolve(ok);
+    };
+    const confirm = document.getElementById('restore-confirm');
+    const cancel = document.getElementById('restore-cancel');
+    const onConfirm = () => finish(true);
+    const onCancel = () => finish(false);
+    confirm.addEventListener('click', onConfirm);
+    cancel.addEventListener('click', onCancel);
+  });
+}
+
+// Runs once the model is loaded, since restoring needs its meshes
+async function offerSessionRestore() {
+  let record = null;
+  try {
+    record = await dbTransaction('designs', 'readonly', tx => tx.objectStore('designs').get(AUTOSAVE_ID));
+    await pruneAssets();
+  } catch (err) {
+    console.warn('Browser storage unavailable, autosave is off', err);
+    return;
+  }
+  if (record && await confirmRestore(record)) {
+    try {
+      await openDesign(record);
+      showStatus('Previous session restored');
+    } catch (err) {
+      console.error(err);
+      showStatus('Could not restore session: ' + err.message);
+    }
+  }
+  autosaveEnabled = true;
+}
+
+// The first model to load, whether the default one or one dropped or browsed
+// at runtime, opens a pending share link or offers the previous session
+function startSession() {
+  if (sessionStarted) return;
+  sessionStarted = true;
+  if (location.hash.startsWith(SHARE_PREFIX)) openSharedLink();
+  else offerSessionRestore();
+}
+
+// ─── Gallery ───
+async function refreshGallery() {
+  let records = [];
+  try {
+    records = await dbTransaction('designs', 'readonly', tx => tx.objectStore('designs').getAll());
+  } catch (err) {
+    console.warn('Could not list designs', err);
+  }
+  const designs = records.filter(r => r.id !== AUTOSAVE_ID).sort((a, b) => b.updated - a.updated);
+  galleryList.innerHTML = '';
+  galleryEmpty.style.display = designs.length === 0 ? '' : 'none';
+  designs.forEach(record => galleryList.appendChild(galleryItem(record)));
+}
+
+function galleryItem(record) {
+  const item = document.createElement('div');
+  item.className = 'gallery-item';
+  item.title = 'Open ' + record.name;
+
+  const thumb = document.createElement('img');
+  thumb.src = record.thumbnail;
+  thumb.alt = '';
+  item.appendChild(thumb);
+
+  const name = document.createElement('span');
+  name.className = 'gallery-name';
+  name.textContent = record.name;
+  item.appendChild(name);
+
+  const date = document.createElement('span');
+  date.className = 'gallery-date';
+  date.textContent = new Date(record.updated).toLocaleDateString();
+  item.appendChild(date);
+
+  const del = document.createElement('button');
+  del.className = 'gallery-delete';
+  del.textContent = '\u2715';
+  del.title = 'Delete design';
+  del.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    if (!confirm(`Delete "${record.name}" from the gallery?`)) return;
+    await dbTransaction('designs', 'readwrite', tx => tx.objectStore('designs').delete(record.id));
+    if (designName === record.name) designName = '';
+    refreshGallery();
+    showStatus('Design deleted');
+  });
+  item.appendChild(del);
+
+  item.addEventListener('click', async () => {
+    if (controllerMeshes.length === 0) {
+      showStatus('Wait for the model to load first');
+      return;
+    }
+    try {
+      await openDesign(record);
+      showStatus(`Opened "${record.name}"`);
+    } catch (err) {
+      console.error(err);
+      showStatus('Failed to open design: ' + err.message);
+    }
+  });
+  return item;
+}
+
+// Saving under an existing name replaces that design
+document.getElementById('btn-gallery-save').addEventListener('click', async () => {
+  const name = prompt('Design name', designName || 'Untitled design')?.trim();
+  if (!name) return;
+  try {
+    const records = await dbTransaction('designs', 'readonly', tx => tx.objectStore('designs').getAll());
+    const existing = records.find(r => r.id !== AUTOSAVE_ID && r.name === name);
+    await writeDesign(existing?.id || crypto.randomUUID(), name);
+    designName = name;
+    scheduleAutosave();
+    refreshGallery();
+    showStatus(`Saved "${name}" to the gallery`);
+  } catch (err) {
+    console.error(err);
+    showStatus('Could not save design: ' + err.message);
+  }
+});
+
+refreshGallery();
+
+
+// ═══════════════════════════════════════════════
+// SHARE LINKS
+// ═══════════════════════════════════════════════
+// A link carries the project JSON in the URL hash, deflated and base64url
+// encoded. Decal images are inlined smallest first while the link stays under
+// SHARE_LINK_LIMIT; the rest are referenced by content hash and only resolve
+// in a browser whose asset store already holds them.
+const SHARE_PREFIX = '#design=';
+const SHARE_LINK_LIMIT = 32000; // characters of hash, short enough for chat apps
+
+async function deflateToBase64url(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function inflateFromBase64url(data) {
+  const bytes = Uint8Array.from(atob(data.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+// Five decimals is under 0.01 mm on the normalized model
+function compactJSON(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'number' && !Number.isInteger(v) ? Math.round(v * 1e5) / 1e5 : v));
+}
+
+async function buildShareLink() {
+  const { project, pending, list } = await serializeDesign();
+  // Referenced assets are stored so links reopened in this browser resolve
+  if (pending.size > 0) {
+    await dbTransaction('assets', 'readwrite', tx => putAssets(tx, pending));
+    pending.forEach(({ owner }, key) => storedAssets.set(owner, key));
+  }
+  // SVG sources would eat the budget; the decals travel as rasters
+  project.decals.forEach(p => delete p.svg);
+
+  const encode = async () => SHARE_PREFIX + await deflateToBase64url(compactJSON(project));
+  let hash = await encode();
+  let inlined = 0;
+  const images = list.map((d, i) => ({ i, url: decalImageDataURL(d) }))
+    .sort((a, b) => a.url.length - b.url.length);
+  for (const { i, url } of images) {
+    const ref = project.decals[i].image;
+    project.decals[i].image = url;
+    const next = await encode();
+    if (next.length > SHARE_LINK_LIMIT) {
+      project.decals[i].image = ref;
+      break;
+    }
+    hash = next;
+    inlined++;
+  }
+  return { url: location.href.split('#')[0] + hash, inlined, total: list.length };
+}
+
+// Decals whose image is neither inline nor in the local asset store are
+// dropped; resolves to how many
+async function openSharedDesign(hash) {
+  const project = JSON.parse(await inflateFromBase64url(hash.slice(SHARE_PREFIX.length)));
+  const assets = await loadAssets(designAssetKeys(project).filter(key => key && !key.startsWith('data:')));
+  const available = (project.decals || []).filter(p => p.image.startsWith('data:') || assets.has(p.image));
+  const missing = (project.decals || []).length - available.length;
+  project.decals = available;
+  await applyProject(project, assetArchive(assets));
+  rememberAssets(project);
+  designName = '';
+  return missing;
+}
+
+// Opening a link replaces the autosaved session, so that is kept in the
+// gallery first
+async function keepPreviousSession() {
+  const record = await dbTransaction('designs', 'readonly', tx => tx.objectStore('designs').get(AUTOSAVE_ID));
+  if (!record?.project.decals?.length) return;
+  const name = `${record.name || 'Previous session'} (before shared link)`;
+  await dbTransaction('designs', 'readwrite', tx => tx.objectStore('designs').put({ ...record, id: crypto.randomUUID(), name }));
+}
+
+// Runs once the model is loaded, in place of the restore prompt
+async function openSharedLink() {
+  const hash = location.hash;
+  history.replaceState(null, '', location.pathname + location.search);
+  try {
+    await keepPreviousSession();
+  } catch (err) {
+    console.warn('Could not keep the previous session', err);
+  }
+  try {
+    const missing = await openSharedDesign(hash);
+    showStatus(missing > 0
+      ? `Shared design opened, ${missing} decal image${missing === 1 ? ' is' : 's are'} not available in this browser`
+      : 'Shared design opened');
+  } catch (err) {
+    console.error(err);
+    showStatus('Could not open shared link: ' + err.message);
+  }
+  autosaveEnabled = true;
+  scheduleAutosave();
+  refreshGallery();
+}
+
+// A link pasted into the address bar of an open tab only changes the hash
+// Without a model yet, the link stays pending for startSession
+window.addEventListener('hashchange', () => {
+  if (!location.hash.startsWith(SHARE_PREFIX)) return;
+  if (!sessionStarted) showStatus('Load a model to open the shared design');
+  else if (!overlayOpen()) openSharedLink();
+});
+
+document.getElementById('btn-share').addEventListener('click', async () => {
+  let link;
+  try {
+    showStatus('Building link…');
+    link = await buildShareLink();
+  } catch (err) {
+    console.error(err);
+    showStatus('Could not build link: ' + err.message);
+    return;
+  }
+  const { url, inlined, total } = link;
+  const note = inlined < total
+    ? `, ${total - inlined} of ${total} decal images too large to include`
+    : '';
+  try {
+    await navigator.clipboard.writeText(url);
+    showStatus('Link copied' + note);
+  } catch {
+    prompt('Copy this link' + note, url);
+  }
+});
 
 showStatus('Loading model…');